@@ -1,295 +1,1126 @@
 import express from "express";
 import cors from "cors";
-import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createAlertService } from "./lib/alerts/index.js";
+import {
+  ANALYTICS_KINDS,
+  parseAnalyticsQuery,
+  selectPosts,
+  summarizeStyle,
+  topEntities,
+  topTerms,
+} from "./lib/analytics.js";
+import { createRateLimiter, parseCorsOrigins } from "./lib/access.js";
+import { findAccount, loadAccounts, parseAccountUpdate, saveAccounts } from "./lib/accounts.js";
+import { createAuditLog } from "./lib/audit.js";
+import { createApiKeys, parseApiKeys, requireApiKey } from "./lib/auth.js";
+import {
+  countSince,
+  hourlySeries,
+  parseWidgetQuery,
+  relativeAge,
+  renderBadge,
+  renderSparkline,
+  renderWidget,
+} from "./lib/badges.js";
+import { computeCadence, parseCadenceQuery } from "./lib/cadence.js";
+import {
+  ENGAGEMENT_METRICS,
+  computeLeaderboard,
+  dueSnapshots,
+  parseDuration,
+  parseSchedule,
+  splitEngagement,
+} from "./lib/engagement.js";
+import { createEventHub } from "./lib/events.js";
+import { importArchive } from "./lib/importer.js";
+import { createMediaArchive, isMediaHash, parseBytes } from "./lib/media.js";
+import { createMetrics } from "./lib/metrics.js";
+import { createPoller, describeHealth } from "./lib/poller.js";
+import { toHourKey } from "./lib/posts.js";
+import { buildLinkHeader, parsePostQuery, queryPosts } from "./lib/query.js";
+import { createDeletionTracker } from "./lib/reconcile.js";
+import {
+  DIGEST_FORMATS,
+  computeDigest,
+  digestWindow,
+  parseDigestQuery,
+  parseDigestSettings,
+  publishDigest,
+  renderDigest,
+  startSchedule,
+} from "./lib/reports/index.js";
+import { applyRetention, parseRetention } from "./lib/retention.js";
+import {
+  computeDaily,
+  computeHeatmap,
+  computeRangeStats,
+  computeRollup,
+  computeWeekly,
+  parseHistoryQuery,
+  parseRangeQuery,
+  parseRollupQuery,
+} from "./lib/stats.js";
+import { openStore } from "./lib/store/index.js";
+import { buildFeed, lastModified } from "./lib/syndication.js";
+import { buildHeaders, fetchSource } from "./lib/upstream.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DATA_PATH = path.join(__dirname, "data", "posts.json");
-const DEFAULT_API_URL =
-  "https://truthsocial.com/api/v1/accounts/107780257626128497/statuses?exclude_replies=true&only_replies=false&with_muted=true";
-const SOURCE_URL =
-  process.env.TRUTHSOCIAL_SOURCE_URL ||
-  process.env.TRUTHSOCIAL_API_URL ||
-  process.env.TRUTHSOCIAL_FEED_URL ||
-  DEFAULT_API_URL;
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "data");
+const LEGACY_DATA_PATH = path.join(DATA_DIR, "posts.json");
+const ACCOUNTS_CONFIG_PATH = process.env.TRUTHSOCIAL_ACCOUNTS_FILE || path.join(__dirname, "accounts.json");
 const POLL_INTERVAL_MS = Number.parseInt(process.env.POLL_INTERVAL_MS || "45000", 10);
 const HISTORY_WINDOW_HOURS = Number.parseInt(process.env.HISTORY_WINDOW_HOURS || "24", 10);
 const MAX_STATUS_PAGES = Number.parseInt(process.env.TRUTHSOCIAL_MAX_PAGES || "5", 10);
+const UPSTREAM_TIMEOUT_MS = Number.parseInt(process.env.UPSTREAM_TIMEOUT_MS || "15000", 10);
+const POLL_MAX_BACKOFF_MS = Number.parseInt(process.env.POLL_MAX_BACKOFF_MS || "900000", 10);
+const FULL_SYNC_EVERY = Math.max(1, Number.parseInt(process.env.FULL_SYNC_EVERY || "5", 10));
+const STALE_AFTER_MS = Number.parseInt(process.env.STALE_AFTER_MS || "0", 10);
+const STORE_BACKEND = process.env.STORE_BACKEND || "log";
+const DELETION_CONFIRMATIONS = Number.parseInt(process.env.DELETION_CONFIRMATIONS || "2", 10);
+const ENGAGEMENT_SCHEDULE = parseSchedule(process.env.ENGAGEMENT_SCHEDULE || undefined);
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || "50mb";
+const ALERT_RULES_PATH = process.env.ALERT_RULES_FILE || path.join(DATA_DIR, "alert_rules.json");
+const ALERT_MAX_POST_AGE_MINUTES = Number.parseInt(process.env.ALERT_MAX_POST_AGE_MINUTES || "60", 10);
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, "audit.ndjson");
+const RATE_LIMIT_WINDOW_MS = Number.parseInt(process.env.RATE_LIMIT_WINDOW_MS || "60000", 10);
+const RATE_LIMIT_MAX = Number.parseInt(process.env.RATE_LIMIT_MAX || "120", 10);
+const RATE_LIMIT_KEY_MAX = Number.parseInt(process.env.RATE_LIMIT_KEY_MAX || "1200", 10);
+const RETENTION = parseRetention({ days: process.env.RETENTION_DAYS, mode: process.env.RETENTION_MODE });
+const RETENTION_INTERVAL_MS = Number.parseInt(process.env.RETENTION_INTERVAL_MS || "3600000", 10);
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(DATA_DIR, "archive");
+const MEDIA_ARCHIVE = process.env.MEDIA_ARCHIVE === "true";
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(DATA_DIR, "media");
+const MEDIA_QUOTA_BYTES = parseBytes(process.env.MEDIA_QUOTA || "1gb");
+const MEDIA_MAX_FILE_BYTES = parseBytes(process.env.MEDIA_MAX_FILE_SIZE || "100mb");
+const DIGEST = parseDigestSettings({
+  schedule: process.env.DIGEST_SCHEDULE,
+  period: process.env.DIGEST_PERIOD,
+  timeZone: process.env.DIGEST_TZ,
+  formats: process.env.DIGEST_FORMATS,
+  top: process.env.DIGEST_TOP,
+});
+const DIGEST_DIR = process.env.DIGEST_DIR || path.join(DATA_DIR, "reports");
 const PORT = Number.parseInt(process.env.PORT || "3000", 10);
-let lastSeedAttempt = 0;
-let lastPollAt = null;
+
+const accounts = await loadAccounts({
+  configPath: ACCOUNTS_CONFIG_PATH,
+  env: process.env,
+  pollIntervalMs: POLL_INTERVAL_MS,
+});
+const defaultAccount = accounts[0];
+const accountState = new Map(
+  accounts.map((account) => [
+    account.handle,
+    {
+      lastSeedAttempt: 0,
+      validators: new Map(),
+      deletions: createDeletionTracker({ confirmations: DELETION_CONFIRMATIONS }),
+    },
+  ])
+);
+const stores = new Map();
+for (const account of accounts) {
+  const legacyPaths = [path.join(DATA_DIR, "accounts", `${account.handle}.json`)];
+  if (account === defaultAccount) legacyPaths.push(LEGACY_DATA_PATH);
+  stores.set(account.handle, await openStore(account, { dataDir: DATA_DIR, backend: STORE_BACKEND, legacyPaths }));
+}
+
+const apiKeys = createApiKeys(parseApiKeys(process.env.API_KEYS, { adminToken: process.env.ADMIN_TOKEN }));
+const audit = createAuditLog({ filePath: AUDIT_LOG_PATH });
+const events = createEventHub();
+const alerts = createAlertService({
+  rulesPath: ALERT_RULES_PATH,
+  dataDir: DATA_DIR,
+  webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+  secret: process.env.ALERT_WEBHOOK_SECRET || null,
+  maxPostAgeMs: ALERT_MAX_POST_AGE_MINUTES * 60 * 1000,
+});
+await alerts.load();
+const media = createMediaArchive({
+  dir: MEDIA_DIR,
+  quotaBytes: MEDIA_QUOTA_BYTES,
+  maxFileBytes: MEDIA_MAX_FILE_BYTES,
+  timeoutMs: UPSTREAM_TIMEOUT_MS,
+  headers: buildHeaders(process.env.TRUTHSOCIAL_COOKIE),
+});
+await media.load();
+
+const metrics = createMetrics();
+const pollDuration = metrics.histogram("truthsocial_poll_duration_seconds", "Duration of feed poll cycles.");
+const pollPages = metrics.histogram(
+  "truthsocial_poll_pages",
+  "Upstream pages fetched per poll cycle.",
+  Array.from({ length: MAX_STATUS_PAGES + 1 }, (_, pages) => pages)
+);
+const postsMerged = metrics.counter("truthsocial_posts_merged_total", "Posts merged into the store by change type.");
+const upstreamResponses = metrics.counter("truthsocial_upstream_responses_total", "Upstream HTTP responses by status.");
+const upstreamDuration = metrics.histogram(
+  "truthsocial_upstream_request_duration_seconds",
+  "Latency of individual upstream requests."
+);
+const httpRequests = metrics.counter("truthsocial_http_requests_total", "API requests by route and status.");
+const httpDuration = metrics.histogram("truthsocial_http_request_duration_seconds", "API request latency by route.");
+const rateLimited = metrics.counter("truthsocial_rate_limited_total", "Requests rejected by the rate limiter.");
+const retainedPosts = metrics.counter("truthsocial_retention_posts_total", "Posts compacted or archived by retention.");
+const mediaArchived = metrics.counter("truthsocial_media_archived_total", "Media downloads by outcome.");
+const digestsPublished = metrics.counter("truthsocial_digests_published_total", "Digest reports by delivery status.");
+
+const rateLimit = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: RATE_LIMIT_MAX,
+  keyMax: RATE_LIMIT_KEY_MAX,
+  keys: apiKeys,
+  onLimited: (request) => rateLimited.inc({ route: request.route?.path || request.path }),
+});
+
+function recordAudit(entry) {
+  audit.record(entry).catch((error) => console.error(`Failed to write audit log: ${error.message}`));
+}
 
 const app = express();
-app.use(cors());
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+const adminRouter = express.Router();
+app.use(
+  cors({
+    origin: parseCorsOrigins(process.env.CORS_ORIGINS),
+    exposedHeaders: ["Link", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"],
+  })
+);
+app.use(
+  "/admin",
+  requireApiKey(apiKeys, {
+    onDenied: (request, { status, key }) =>
+      recordAudit({
+        action: "auth.denied",
+        actor: key?.name || null,
+        ip: request.ip,
+        status,
+        details: { method: request.method, path: request.originalUrl },
+      }),
+  }),
+  adminRouter
+);
 app.use(express.json());
 
-async function loadData() {
-  try {
-    const raw = await fs.readFile(DATA_PATH, "utf-8");
-    const parsed = JSON.parse(raw);
-    return { posts: Array.isArray(parsed.posts) ? parsed.posts : [] };
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      return { posts: [] };
-    }
-    throw error;
+function publishChanges(account, store, { inserted, updated, edited, deleted }) {
+  const visible = (posts) => posts.filter((post) => !post.hidden_at);
+  for (const post of visible(inserted)) {
+    events.publish("post.created", { account: account.handle, post });
+  }
+  for (const post of visible(edited)) {
+    events.publish("post.edited", { account: account.handle, post });
   }
+  for (const post of visible(deleted)) {
+    events.publish("post.deleted", { account: account.handle, post });
+  }
+  publishStats(account, store, [...inserted, ...updated, ...deleted]);
 }
 
-async function saveData(data) {
-  await fs.mkdir(path.dirname(DATA_PATH), { recursive: true });
-  await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2));
+function publishStats(account, store, touched) {
+  const touchedHours = new Set(touched.map((post) => toHourKey(post.timestamp)));
+  events.publish("stats.updated", {
+    account: account.handle,
+    latest: store.latest(),
+    totalPosts: store.count(),
+    hours: store.hourly().filter((entry) => touchedHours.has(entry.hour)),
+    polledAt: new Date().toISOString(),
+  });
 }
 
-function normalizeCdata(value) {
-  if (!value) return "";
-  return value.replace(/<!\[CDATA\[(.*?)\]\]>/g, "$1").trim();
+async function pollFeed(account, { poll }) {
+  const state = accountState.get(account.handle);
+  const store = stores.get(account.handle);
+  const fullSync = (poll - 1) % FULL_SYNC_EVERY === 0 || !store.count();
+  const result = await fetchSource(account.sourceUrl, {
+    headers: buildHeaders(process.env.TRUTHSOCIAL_COOKIE),
+    validators: state.validators,
+    sinceId: fullSync ? null : store.latest()?.id,
+    historyWindowMs: HISTORY_WINDOW_HOURS * 60 * 60 * 1000,
+    maxPages: MAX_STATUS_PAGES,
+    timeoutMs: UPSTREAM_TIMEOUT_MS,
+    onResponse: (status, latencyMs) => {
+      upstreamResponses.inc({ account: account.handle, status });
+      upstreamDuration.observe({ account: account.handle }, latencyMs / 1000);
+    },
+  });
+  if (result.items.length) {
+    const { posts, counts } = splitEngagement(result.items);
+    const { inserted, updated, edited } = await store.upsert(posts);
+    const snapshots = await store.recordEngagement(dueSnapshots(store, counts, ENGAGEMENT_SCHEDULE));
+    for (const { id, snapshot } of snapshots) {
+      events.publish("engagement.updated", { account: account.handle, id, snapshot });
+    }
+    const missing = result.incremental
+      ? { deleted: [], restored: [] }
+      : state.deletions.reconcile(store, posts);
+    const deleted = await store.markDeleted(missing.deleted, new Date().toISOString());
+    const restored = await store.markDeleted(missing.restored, null);
+    for (const [change, posts] of Object.entries({ inserted, updated, edited, deleted })) {
+      if (posts.length) postsMerged.inc({ account: account.handle, change }, posts.length);
+    }
+    for (const alert of alerts.evaluate(account, store, inserted)) {
+      events.publish("alert.triggered", alert.payload);
+    }
+    if (MEDIA_ARCHIVE) {
+      archiveMedia(account, [...inserted, ...updated]);
+    }
+    if (inserted.length || updated.length || deleted.length || restored.length) {
+      publishChanges(account, store, {
+        inserted,
+        updated: [...updated, ...restored],
+        edited,
+        deleted,
+      });
+    }
+  }
+  return result;
 }
 
-function extractTag(tagName, blob) {
-  const matcher = new RegExp(`<${tagName}>([\\s\\S]*?)<\\/${tagName}>`, "i");
-  const match = blob.match(matcher);
-  return match ? normalizeCdata(match[1]) : "";
+function archiveMedia(account, posts) {
+  for (const post of posts) {
+    media
+      .archivePost(post)
+      .then((results) => {
+        for (const { url, outcome, error } of results) {
+          mediaArchived.inc({ account: account.handle, outcome });
+          if (outcome === "failed") console.error(`Failed to archive media for post ${post.id} (${url}): ${error}`);
+        }
+        if (results.some(({ outcome }) => outcome === "stored" || outcome === "deduplicated")) {
+          events.publish("media.archived", { account: account.handle, id: post.id, media: media.describe(post) });
+        }
+      })
+      .catch((error) => console.error(`Failed to archive media for post ${post.id}: ${error.message}`));
+  }
 }
 
-function parseFeed(xml) {
-  const items = [];
-  const itemRegex = /<item>([\s\S]*?)<\/item>/gi;
-  let match = itemRegex.exec(xml);
-  while (match) {
-    const chunk = match[1];
-    const guid = extractTag("guid", chunk);
-    const link = extractTag("link", chunk);
-    const pubDate = extractTag("pubDate", chunk);
-    const id = guid || link;
-    if (id && pubDate) {
-      const timestamp = new Date(pubDate).toISOString();
-      if (!Number.isNaN(Date.parse(timestamp))) {
-        items.push({ id, timestamp });
-      }
-    }
-    match = itemRegex.exec(xml);
+async function runPoll(account, context) {
+  const startedAt = performance.now();
+  const observe = (outcome) =>
+    pollDuration.observe({ account: account.handle, outcome }, (performance.now() - startedAt) / 1000);
+  try {
+    const result = await pollFeed(account, context);
+    observe("success");
+    pollPages.observe({ account: account.handle }, result.pages);
+    return result;
+  } catch (error) {
+    observe("error");
+    console.error(`Failed to poll Truth Social feed for @${account.handle}: ${error.message}`);
+    throw error;
   }
-  return items;
 }
 
-function parseStatusList(payload) {
-  if (!Array.isArray(payload)) return [];
-  return payload
-    .map((item) => {
-      const timestamp = item?.created_at;
-      const id = item?.id || item?.url || item?.uri;
-      const url = item?.url || item?.uri || "";
-      const content = item?.content || "";
-      if (!timestamp || !id) return null;
-      const iso = new Date(timestamp).toISOString();
-      if (Number.isNaN(Date.parse(iso))) return null;
-      return { id: String(id), timestamp: iso, url, content };
-    })
-    .filter(Boolean);
-}
+const pollers = new Map(
+  accounts.map((account) => [
+    account.handle,
+    createPoller({
+      intervalMs: account.pollIntervalMs,
+      maxBackoffMs: POLL_MAX_BACKOFF_MS,
+      run: (context) => runPoll(account, context),
+      onSettled: () => {
+        events.publish("health.updated", accountHealth(account));
+      },
+    }),
+  ])
+);
 
-function extractNumericId(value) {
-  if (!value) return "";
-  const match = String(value).match(/\/(\d+)(?:\b|$)/);
-  return match ? match[1] : "";
+function accountHealth(account) {
+  const staleAfterMs = STALE_AFTER_MS || Math.max(account.pollIntervalMs * 4, 5 * 60 * 1000);
+  return { account: account.handle, ...describeHealth(pollers.get(account.handle).status, { staleAfterMs }) };
 }
 
-function canonicalId(post) {
-  if (!post) return "";
-  const direct = post.id ? String(post.id) : "";
-  if (direct && /^\d+$/.test(direct)) return direct;
-  const fromDirect = extractNumericId(direct);
-  if (fromDirect) return fromDirect;
-  const fromUrl = extractNumericId(post.url || post.uri);
-  if (fromUrl) return fromUrl;
-  return direct || String(post.url || post.uri || "");
+function polledAt(account) {
+  return pollers.get(account.handle).status.lastSuccessAt;
 }
 
-function normalizePosts(posts) {
-  const byId = new Map();
-  for (const post of posts) {
-    const id = canonicalId(post);
-    if (!id) continue;
-    const normalized = { ...post, id };
-    const existing = byId.get(id);
-    if (!existing) {
-      byId.set(id, normalized);
-      continue;
-    }
-    const merged = { ...existing };
-    const existingTime = Date.parse(existing.timestamp);
-    const incomingTime = Date.parse(normalized.timestamp);
-    if (!Number.isNaN(incomingTime) && (Number.isNaN(existingTime) || incomingTime > existingTime)) {
-      merged.timestamp = normalized.timestamp;
-    }
-    if (!merged.url && normalized.url) merged.url = normalized.url;
-    if (!merged.uri && normalized.uri) merged.uri = normalized.uri;
-    if (!merged.content && normalized.content) merged.content = normalized.content;
-    byId.set(id, merged);
+async function ensureSeeded(account) {
+  const store = stores.get(account.handle);
+  if (store.count()) return store;
+  const state = accountState.get(account.handle);
+  const now = Date.now();
+  if (now - state.lastSeedAttempt < account.pollIntervalMs) {
+    return store;
   }
-  return Array.from(byId.values()).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  state.lastSeedAttempt = now;
+  await pollers.get(account.handle).trigger();
+  return store;
 }
 
-function parseLinkHeader(header) {
-  if (!header) return {};
-  return header.split(",").reduce((links, part) => {
-    const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
-    if (match) {
-      const [, url, rel] = match;
-      links[rel] = url;
-    }
-    return links;
-  }, {});
+function describeAccount(account) {
+  return {
+    handle: account.handle,
+    displayName: account.displayName,
+    profileUrl: account.profileUrl,
+    pollIntervalMs: account.pollIntervalMs,
+    polledAt: polledAt(account),
+  };
 }
 
-function shouldFetchMore(items) {
-  if (!items.length) return false;
-  const oldest = Math.min(...items.map((item) => Date.parse(item.timestamp)));
-  if (Number.isNaN(oldest)) return false;
-  return Date.now() - oldest < HISTORY_WINDOW_HOURS * 60 * 60 * 1000;
+function observeRoute(route) {
+  return (request, response, next) => {
+    const startedAt = performance.now();
+    response.on("finish", () => {
+      const labels = { account: response.locals.account.handle, route, method: request.method };
+      httpRequests.inc({ ...labels, status: response.statusCode });
+      httpDuration.observe(labels, (performance.now() - startedAt) / 1000);
+    });
+    next();
+  };
 }
 
-function toHourKey(timestamp) {
-  const date = new Date(timestamp);
-  date.setUTCMinutes(0, 0, 0);
-  return date.toISOString();
-}
+metrics.gauge("truthsocial_store_posts", "Posts held in each account store.", () =>
+  accounts.map((account) => ({ labels: { account: account.handle }, value: stores.get(account.handle).count() }))
+);
+metrics.gauge("truthsocial_poll_consecutive_failures", "Consecutive failed polls per account.", () =>
+  accounts.map((account) => ({
+    labels: { account: account.handle },
+    value: pollers.get(account.handle).status.consecutiveFailures,
+  }))
+);
+metrics.gauge("truthsocial_poll_last_success_timestamp_seconds", "Unix time of the last successful poll.", () =>
+  accounts.map((account) => {
+    const { lastSuccessAt } = pollers.get(account.handle).status;
+    return { labels: { account: account.handle }, value: lastSuccessAt ? Date.parse(lastSuccessAt) / 1000 : null };
+  })
+);
+metrics.gauge("truthsocial_media_archive_bytes", "Bytes held in the local media archive.", () => [
+  { value: media.usage().bytes },
+]);
+
+const accountRouter = express.Router();
+
+accountRouter.get("/latest", observeRoute("/latest"), rateLimit, async (_request, response) => {
+  const { account } = response.locals;
+  const store = await ensureSeeded(account);
+  response.json({
+    account: account.handle,
+    latest: store.latest(),
+    totalPosts: store.count(),
+    polledAt: polledAt(account),
+    health: accountHealth(account),
+  });
+});
+
+accountRouter.get("/health", (_request, response) => {
+  const health = accountHealth(response.locals.account);
+  response.status(health.stale ? 503 : 200).json(health);
+});
+
+accountRouter.get("/history/hourly", observeRoute("/history/hourly"), rateLimit, async (_request, response) => {
+  const { account } = response.locals;
+  const store = await ensureSeeded(account);
+  response.json({
+    account: account.handle,
+    hours: store.hourly(),
+  });
+});
+
+const WIDGET_CACHE_CONTROL = "public, max-age=60";
+
+const sendSvg = (response, svg) => {
+  response.set({ "Content-Type": "image/svg+xml; charset=utf-8", "Cache-Control": WIDGET_CACHE_CONTROL });
+  response.send(svg);
+};
 
-function computeHourly(posts) {
-  const normalized = normalizePosts(posts);
-  const buckets = new Map();
-  for (const post of normalized) {
-    const hourKey = toHourKey(post.timestamp);
-    buckets.set(hourKey, (buckets.get(hourKey) || 0) + 1);
+const widgetRoute = (render) => async (request, response) => {
+  const { account } = response.locals;
+  const { options, error } = parseWidgetQuery(request.query);
+  if (error) {
+    response.status(400).json({ error });
+    return;
   }
-  return Array.from(buckets.entries())
-    .map(([hour, count]) => ({ hour, count }))
-    .sort((a, b) => new Date(a.hour) - new Date(b.hour));
-}
+  render(response, { account, store: await ensureSeeded(account), options });
+};
+
+accountRouter.get(
+  "/badge/count.svg",
+  widgetRoute((response, { store, options }) => {
+    const label = options.label ?? `posts (${options.rangeLabel})`;
+    const value = String(countSince(store, options.rangeMs));
+    sendSvg(response, renderBadge({ label, value, color: options.color }));
+  })
+);
+
+accountRouter.get(
+  "/badge/latest.svg",
+  widgetRoute((response, { store, options }) => {
+    const latest = store.latest();
+    const value = latest ? relativeAge(latest.timestamp) : "none yet";
+    sendSvg(response, renderBadge({ label: options.label ?? "latest post", value, color: options.color }));
+  })
+);
+
+accountRouter.get(
+  "/badge/sparkline.svg",
+  widgetRoute((response, { store, options }) => {
+    sendSvg(response, renderSparkline(hourlySeries(store, options.hours), { theme: options.theme }));
+  })
+);
+
+accountRouter.get(
+  "/widget",
+  widgetRoute((response, { account, store, options }) => {
+    response.set({
+      "Cache-Control": WIDGET_CACHE_CONTROL,
+      "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors *",
+    });
+    response.type("html").send(
+      renderWidget({
+        account,
+        count: countSince(store, options.rangeMs),
+        latest: store.latest(),
+        series: hourlySeries(store, options.hours),
+        theme: options.theme,
+        rangeLabel: options.rangeLabel,
+      })
+    );
+  })
+);
+
+accountRouter.get("/history/rollups", async (request, response) => {
+  const { account } = response.locals;
+  const { options, error } = parseRollupQuery(request.query);
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  const store = await ensureSeeded(account);
+  response.json({ account: account.handle, ...computeRollup(store, options) });
+});
+
+const HISTORY_VIEWS = {
+  daily: { compute: computeDaily, defaultDays: 90 },
+  weekly: { compute: computeWeekly, defaultDays: 182 },
+  heatmap: { compute: computeHeatmap, defaultDays: 28 },
+};
 
-function computeLatest(posts) {
-  const normalized = normalizePosts(posts);
-  if (!normalized.length) return null;
-  return normalized.reduce((latest, post) => {
-    if (!latest) return post;
-    return new Date(post.timestamp) > new Date(latest.timestamp) ? post : latest;
-  }, null);
+for (const [view, { compute, defaultDays }] of Object.entries(HISTORY_VIEWS)) {
+  accountRouter.get(`/history/${view}`, async (request, response) => {
+    const { account } = response.locals;
+    const { options, error } = parseHistoryQuery(request.query, defaultDays);
+    if (error) {
+      response.status(400).json({ error });
+      return;
+    }
+    const store = await ensureSeeded(account);
+    response.json({ account: account.handle, ...compute(store, options) });
+  });
 }
 
-async function fetchStatusPages(headers) {
-  const collected = [];
-  let pageUrl = SOURCE_URL;
-  for (let page = 0; page < MAX_STATUS_PAGES && pageUrl; page += 1) {
-    const response = await fetch(pageUrl, { headers });
-    if (!response.ok) {
-      throw new Error(`Feed request failed: ${response.status}`);
+accountRouter.get("/posts/:id/revisions", (request, response) => {
+  const { account } = response.locals;
+  const store = stores.get(account.handle);
+  const revisions = store.get(request.params.id)?.hidden_at ? null : store.revisions(request.params.id);
+  if (!revisions) {
+    response.status(404).json({ error: `Unknown post: ${request.params.id}` });
+    return;
+  }
+  response.json({ account: account.handle, post: store.get(request.params.id), revisions });
+});
+
+accountRouter.get("/posts/:id/media", (request, response) => {
+  const { account } = response.locals;
+  const post = stores.get(account.handle).get(request.params.id);
+  if (!post || post.hidden_at) {
+    response.status(404).json({ error: `Unknown post: ${request.params.id}` });
+    return;
+  }
+  response.json({ account: account.handle, id: post.id, media: media.describe(post) });
+});
+
+accountRouter.get("/posts/:id/engagement", (request, response) => {
+  const { account } = response.locals;
+  const store = stores.get(account.handle);
+  const series = store.get(request.params.id)?.hidden_at ? null : store.engagement(request.params.id);
+  if (!series) {
+    response.status(404).json({ error: `Unknown post: ${request.params.id}` });
+    return;
+  }
+  response.json({ account: account.handle, id: request.params.id, series });
+});
+
+accountRouter.get("/leaderboard", (request, response) => {
+  const { account } = response.locals;
+  const metric = request.query.metric || "favourites";
+  if (!ENGAGEMENT_METRICS.includes(metric)) {
+    response.status(400).json({ error: `Invalid metric: expected one of ${ENGAGEMENT_METRICS.join(", ")}` });
+    return;
+  }
+  const range = request.query.range || "7d";
+  const rangeMs = range === "all" ? Infinity : parseDuration(range);
+  if (!rangeMs) {
+    response.status(400).json({ error: "Invalid range: expected all or a duration such as 24h, 7d or 4w" });
+    return;
+  }
+  const limit = Number.parseInt(request.query.limit || "10", 10);
+  if (Number.isNaN(limit) || limit <= 0 || limit > 100) {
+    response.status(400).json({ error: "Invalid limit: expected an integer between 1 and 100" });
+    return;
+  }
+  const since = rangeMs === Infinity ? undefined : new Date(Date.now() - rangeMs).toISOString();
+  const entries = computeLeaderboard(stores.get(account.handle), { metric, since, limit });
+  response.json({ account: account.handle, metric, range, posts: entries });
+});
+
+const analyticsRange = ({ range, since, until }) => ({
+  range: range || null,
+  since: since || null,
+  until: until || null,
+});
+
+accountRouter.get("/analytics/terms", async (request, response) => {
+  const { account } = response.locals;
+  const { options, error } = parseAnalyticsQuery(request.query);
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  const posts = selectPosts(await ensureSeeded(account), options);
+  response.json({
+    account: account.handle,
+    ...analyticsRange(options),
+    n: options.n,
+    posts: posts.length,
+    style: summarizeStyle(posts),
+    terms: topTerms(posts, options),
+  });
+});
+
+for (const kind of Object.keys(ANALYTICS_KINDS)) {
+  accountRouter.get(`/analytics/${kind}`, async (request, response) => {
+    const { account } = response.locals;
+    const { options, error } = parseAnalyticsQuery(request.query);
+    if (error) {
+      response.status(400).json({ error });
+      return;
     }
-    const contentType = response.headers.get("content-type") || "";
-    const body = await response.text();
-    if (!contentType.includes("application/json")) {
-      throw new Error("Expected JSON response from Truth Social API");
+    const posts = selectPosts(await ensureSeeded(account), options);
+    response.json({
+      account: account.handle,
+      ...analyticsRange(options),
+      posts: posts.length,
+      [kind]: topEntities(posts, kind, options),
+    });
+  });
+}
+
+accountRouter.get("/insights/cadence", async (request, response) => {
+  const { account } = response.locals;
+  const { options, error } = parseCadenceQuery(request.query);
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  const store = await ensureSeeded(account);
+  response.json({ account: account.handle, ...computeCadence(store, options) });
+});
+
+accountRouter.get("/deletions", (request, response) => {
+  const { account } = response.locals;
+  const limit = Number.parseInt(request.query.limit || "50", 10);
+  if (Number.isNaN(limit) || limit <= 0) {
+    response.status(400).json({ error: "Invalid limit: expected a positive integer" });
+    return;
+  }
+  response.json({ account: account.handle, deletions: stores.get(account.handle).deletions({ limit }) });
+});
+
+accountRouter.get("/stats/range", async (request, response) => {
+  const { account } = response.locals;
+  const { options, error } = parseRangeQuery(request.query);
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  const store = await ensureSeeded(account);
+  response.json({ account: account.handle, ...computeRangeStats(store, options) });
+});
+
+accountRouter.get("/events", (request, response) => {
+  events.subscribe(request, response, { account: response.locals.account.handle });
+});
+
+accountRouter.get("/posts", observeRoute("/posts"), rateLimit, (request, response) => {
+  const { account } = response.locals;
+  const { options, error } = parsePostQuery(request.query);
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  const result = queryPosts(stores.get(account.handle), options);
+  const baseUrl = `${request.protocol}://${request.get("host")}${request.baseUrl}${request.path}`;
+  const link = buildLinkHeader(baseUrl, request.query, result);
+  if (link) {
+    response.set("Link", link);
+  }
+  response.json({ account: account.handle, ...result });
+});
+
+accountRouter.get("/reports/digest", rateLimit, async (request, response) => {
+  const { account } = response.locals;
+  const { options, error } = parseDigestQuery(request.query);
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  const store = await ensureSeeded(account);
+  const digest = computeDigest(store, account, options);
+  response.set({ "Content-Type": DIGEST_FORMATS[options.format].contentType, "Cache-Control": "no-cache" });
+  response.send(renderDigest(digest, options.format));
+});
+
+const FEED_ROUTES = { "/feed.rss": "rss", "/feed.atom": "atom", "/feed.json": "json" };
+const FEED_MAX_ITEMS = 200;
+
+for (const [route, format] of Object.entries(FEED_ROUTES)) {
+  accountRouter.get(route, async (request, response) => {
+    const { account } = response.locals;
+    const { options, error } = parsePostQuery({ limit: "50", ...request.query, order: "desc", cursor: undefined });
+    if (error) {
+      response.status(400).json({ error });
+      return;
     }
-    let payload;
-    try {
-      payload = JSON.parse(body);
-    } catch (error) {
-      throw new Error("Failed to parse Truth Social JSON response");
+    const store = await ensureSeeded(account);
+    const { posts } = queryPosts(store, {
+      ...options,
+      limit: Math.min(options.limit, FEED_MAX_ITEMS),
+      excludeDeleted: true,
+    });
+    const updated = [lastModified(posts), lastModified(store.deletions({ limit: 1 }))]
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+    const feed = buildFeed(format, {
+      account,
+      posts,
+      selfUrl: `${request.protocol}://${request.get("host")}${request.originalUrl}`,
+      updated,
+    });
+    response.set({ "Content-Type": feed.contentType, ETag: feed.etag, "Cache-Control": "public, max-age=60" });
+    if (feed.lastModified) {
+      response.set("Last-Modified", feed.lastModified.toUTCString());
     }
-    const items = parseStatusList(payload);
-    if (!items.length) {
-      break;
+    if (request.fresh) {
+      response.status(304).end();
+      return;
     }
-    collected.push(...items);
-    const linkHeader = response.headers.get("link");
-    const links = parseLinkHeader(linkHeader);
-    pageUrl = links.next;
-    if (!shouldFetchMore(collected)) {
-      break;
+    response.send(feed.body);
+  });
+}
+
+app.get("/events", (request, response) => {
+  const account = request.query.account ? findAccount(accounts, request.query.account) : null;
+  if (request.query.account && !account) {
+    response.status(404).json({ error: `Unknown account: ${request.query.account}` });
+    return;
+  }
+  events.subscribe(request, response, { account: account?.handle });
+});
+
+app.get("/alerts", (request, response) => {
+  const limit = Number.parseInt(request.query.limit || "50", 10);
+  if (Number.isNaN(limit) || limit <= 0) {
+    response.status(400).json({ error: "Invalid limit: expected a positive integer" });
+    return;
+  }
+  response.json({
+    alerts: alerts.history({ limit, ruleId: request.query.rule, account: request.query.account }),
+  });
+});
+
+app.get("/alerts/rules", (_request, response) => {
+  response.json({ rules: alerts.listRules() });
+});
+
+app.post("/alerts/rules", async (request, response) => {
+  const { rule, error } = await alerts.createRule(request.body || {});
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  response.status(201).json({ rule });
+});
+
+app.get("/alerts/rules/:id", (request, response) => {
+  const rule = alerts.getRule(request.params.id);
+  if (!rule) {
+    response.status(404).json({ error: `Unknown rule: ${request.params.id}` });
+    return;
+  }
+  response.json({ rule });
+});
+
+app.put("/alerts/rules/:id", async (request, response) => {
+  const result = await alerts.updateRule(request.params.id, request.body || {});
+  if (!result) {
+    response.status(404).json({ error: `Unknown rule: ${request.params.id}` });
+    return;
+  }
+  if (result.error) {
+    response.status(400).json({ error: result.error });
+    return;
+  }
+  response.json({ rule: result.rule });
+});
+
+app.delete("/alerts/rules/:id", async (request, response) => {
+  if (!(await alerts.deleteRule(request.params.id))) {
+    response.status(404).json({ error: `Unknown rule: ${request.params.id}` });
+    return;
+  }
+  response.status(204).end();
+});
+
+app.get("/metrics", (_request, response) => {
+  response.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8").send(metrics.render());
+});
+
+app.get("/media/:hash", (request, response) => {
+  const object = isMediaHash(request.params.hash) ? media.open(request.params.hash) : null;
+  if (!object) {
+    response.status(404).json({ error: `Unknown media: ${request.params.hash}` });
+    return;
+  }
+  response.set({
+    "Content-Type": object.mime,
+    "Cache-Control": "public, max-age=31536000, immutable",
+    "Content-Security-Policy": "default-src 'none'; sandbox",
+    "X-Content-Type-Options": "nosniff",
+    ETag: `"${object.hash}"`,
+  });
+  if (request.fresh) {
+    response.status(304).end();
+    return;
+  }
+  response.sendFile(object.path, { etag: false, lastModified: false }, (error) => {
+    if (error && !response.headersSent) {
+      response.status(404).json({ error: `Unknown media: ${request.params.hash}` });
     }
+  });
+});
+
+const HEALTH_ORDER = ["ok", "paused", "starting", "degraded", "stale"];
+
+app.get("/health", (_request, response) => {
+  const entries = accounts.map(accountHealth);
+  const status = entries.reduce(
+    (worst, entry) => (HEALTH_ORDER.indexOf(entry.status) > HEALTH_ORDER.indexOf(worst) ? entry.status : worst),
+    "ok"
+  );
+  response.status(status === "stale" ? 503 : 200).json({
+    status,
+    checkedAt: new Date().toISOString(),
+    accounts: entries,
+  });
+});
+
+function audited(action) {
+  return (request, response, next) => {
+    response.on("finish", () => {
+      recordAudit({
+        action,
+        actor: response.locals.apiKey?.name || null,
+        ip: request.ip,
+        account: response.locals.account?.handle || null,
+        target: request.params.id || null,
+        status: response.statusCode,
+        details: response.locals.auditDetails || null,
+      });
+    });
+    next();
+  };
+}
+
+function adminAccount(request, response, next) {
+  const handle = request.query.account;
+  const account = handle ? findAccount(accounts, handle) : defaultAccount;
+  if (!account) {
+    response.status(404).json({ error: `Unknown account: ${handle}` });
+    return;
   }
-  return collected;
+  response.locals.account = account;
+  next();
 }
 
-async function pollFeed() {
-  try {
-    const headers = {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-      Accept: "application/json, application/rss+xml, application/xml;q=0.9, */*;q=0.8",
-      "Accept-Language": "en-US,en;q=0.9",
-    };
-    if (process.env.TRUTHSOCIAL_COOKIE) {
-      headers.Cookie = process.env.TRUTHSOCIAL_COOKIE;
-    }
+function describeAdminAccount(account) {
+  return {
+    ...describeAccount(account),
+    id: account.id || null,
+    sourceUrl: account.sourceUrl,
+    health: accountHealth(account),
+  };
+}
 
-    let incoming = [];
-    if (SOURCE_URL.includes("/api/")) {
-      incoming = await fetchStatusPages(headers);
-    } else {
-      const response = await fetch(SOURCE_URL, { headers });
-      if (!response.ok) {
-        throw new Error(`Feed request failed: ${response.status}`);
-      }
-      const body = await response.text();
-      if (response.headers.get("content-type")?.includes("application/json")) {
-        incoming = parseStatusList(JSON.parse(body));
-      } else {
-        incoming = parseFeed(body);
-      }
+adminRouter.post(
+  "/import",
+  express.text({ type: () => true, limit: IMPORT_MAX_BYTES }),
+  audited("posts.import"),
+  adminAccount,
+  async (request, response) => {
+    const { account } = response.locals;
+    if (typeof request.body !== "string" || !request.body.trim()) {
+      response.status(400).json({ error: "Request body must contain a CSV, JSON or NDJSON archive" });
+      return;
     }
-    if (incoming.length) {
-      const data = await loadData();
-      const merged = normalizePosts([...data.posts, ...incoming]);
-      await saveData({ posts: merged });
+    const store = stores.get(account.handle);
+    const { changed, error, ...result } = await importArchive(store, request.body, {
+      format: request.query.format,
+      contentType: request.get("content-type"),
+    });
+    if (error) {
+      response.status(400).json({ error });
+      return;
     }
-    lastPollAt = new Date().toISOString();
-  } catch (error) {
-    console.error("Failed to poll Truth Social feed", error);
+    if (changed.inserted.length || changed.updated.length) {
+      publishStats(account, store, [...changed.inserted, ...changed.updated]);
+    }
+    const { errors, ...counts } = result;
+    response.locals.auditDetails = counts;
+    response.json({ account: account.handle, ...result });
+  }
+);
+
+adminRouter.get("/accounts", (_request, response) => {
+  response.json({ accounts: accounts.map(describeAdminAccount) });
+});
+
+adminRouter.post("/poll", audited("poll.trigger"), adminAccount, async (request, response) => {
+  const { account } = response.locals;
+  const status = await pollers.get(account.handle).trigger();
+  if (status.consecutiveFailures) {
+    response.status(502).json({ error: `Poll failed: ${status.lastError?.message || "unknown error"}` });
+    return;
   }
+  response.json({ account: account.handle, health: accountHealth(account) });
+});
+
+for (const [route, action] of [
+  ["/pause", "pause"],
+  ["/resume", "resume"],
+]) {
+  adminRouter.post(route, audited(`poll.${action}`), adminAccount, (_request, response) => {
+    const { account } = response.locals;
+    pollers.get(account.handle)[action]();
+    const health = accountHealth(account);
+    events.publish("health.updated", health);
+    response.json({ account: account.handle, health });
+  });
 }
 
-async function ensureSeeded() {
-  const data = await loadData();
-  if (data.posts.length) return data;
-  const now = Date.now();
-  if (now - lastSeedAttempt < POLL_INTERVAL_MS) {
-    return data;
+adminRouter.get("/config", adminAccount, (_request, response) => {
+  response.json({ account: describeAdminAccount(response.locals.account) });
+});
+
+adminRouter.patch("/config", express.json(), audited("config.update"), adminAccount, async (request, response) => {
+  const { account } = response.locals;
+  const { changes, error } = parseAccountUpdate(request.body);
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  const before = Object.fromEntries(Object.keys(changes).map((key) => [key, account[key]]));
+  Object.assign(account, changes);
+  if (changes.sourceUrl) {
+    const state = accountState.get(account.handle);
+    state.validators = new Map();
+    state.deletions = createDeletionTracker({ confirmations: DELETION_CONFIRMATIONS });
+  }
+  if (changes.pollIntervalMs) {
+    pollers.get(account.handle).setIntervalMs(changes.pollIntervalMs);
   }
-  lastSeedAttempt = now;
-  await pollFeed();
-  return loadData();
+  const persisted = await saveAccounts(ACCOUNTS_CONFIG_PATH, accounts);
+  response.locals.auditDetails = { before, after: changes, persisted };
+  response.json({ account: describeAdminAccount(account), persisted });
+});
+
+adminRouter.get("/posts/hidden", adminAccount, (_request, response) => {
+  const { account } = response.locals;
+  response.json({ account: account.handle, posts: stores.get(account.handle).hidden() });
+});
+
+adminRouter.delete("/posts/:id", audited("posts.delete"), adminAccount, async (request, response) => {
+  const { account } = response.locals;
+  const store = stores.get(account.handle);
+  const post = store.get(request.params.id);
+  if (!post) {
+    response.status(404).json({ error: `Unknown post: ${request.params.id}` });
+    return;
+  }
+  await store.remove(post.id);
+  response.locals.auditDetails = { timestamp: post.timestamp, url: post.url || null };
+  publishStats(account, store, [post]);
+  response.json({ account: account.handle, id: post.id, removed: true });
+});
+
+for (const [route, action] of [
+  ["/posts/:id/hide", "hide"],
+  ["/posts/:id/unhide", "unhide"],
+]) {
+  adminRouter.post(route, audited(`posts.${action}`), adminAccount, async (request, response) => {
+    const { account } = response.locals;
+    const store = stores.get(account.handle);
+    if (!store.get(request.params.id)) {
+      response.status(404).json({ error: `Unknown post: ${request.params.id}` });
+      return;
+    }
+    const changed = await store.markHidden([request.params.id], action === "hide" ? new Date().toISOString() : null);
+    if (changed.length) publishStats(account, store, changed);
+    response.json({ account: account.handle, post: store.get(request.params.id) });
+  });
 }
 
-app.get("/latest", async (_request, response) => {
-  const data = await ensureSeeded();
-  const latest = computeLatest(data.posts);
-  const total = normalizePosts(data.posts).length;
-  response.json({
-    latest,
-    totalPosts: total,
-    polledAt: lastPollAt || null,
+adminRouter.post("/retention", audited("store.retention"), adminAccount, async (request, response) => {
+  const { account } = response.locals;
+  let retention;
+  try {
+    retention = parseRetention({
+      days: request.query.days ?? String(RETENTION.days),
+      mode: request.query.mode ?? RETENTION.mode,
+    });
+  } catch (error) {
+    response.status(400).json({ error: error.message });
+    return;
+  }
+  if (!retention.days) {
+    response.status(400).json({ error: "Retention is disabled: pass days or set RETENTION_DAYS" });
+    return;
+  }
+  const result = await enforceRetention(account, retention);
+  response.locals.auditDetails = result;
+  response.json({ account: account.handle, ...result, totalPosts: stores.get(account.handle).count() });
+});
+
+adminRouter.post("/reports/digest", audited("reports.digest"), adminAccount, async (request, response) => {
+  const { account } = response.locals;
+  const { options, error } = parseDigestQuery({
+    period: DIGEST.period,
+    tz: DIGEST.timeZone,
+    top: String(DIGEST.top),
+    ...request.query,
   });
+  if (error) {
+    response.status(400).json({ error });
+    return;
+  }
+  const result = await publishAccountDigest(account, options);
+  response.locals.auditDetails = { period: options.period, start: options.start, ...result };
+  response.status(result.delivery.status === "failed" ? 502 : 200).json({ account: account.handle, ...result });
 });
 
-app.get("/history/hourly", async (_request, response) => {
-  const data = await ensureSeeded();
-  response.json({
-    hours: computeHourly(data.posts),
+adminRouter.get("/audit", async (request, response) => {
+  const limit = Number.parseInt(request.query.limit || "100", 10);
+  if (Number.isNaN(limit) || limit <= 0 || limit > 1000) {
+    response.status(400).json({ error: "Invalid limit: expected an integer between 1 and 1000" });
+    return;
+  }
+  const entries = await audit.list({
+    limit,
+    action: request.query.action,
+    account: request.query.account,
+    actor: request.query.actor,
   });
+  response.json({ entries });
 });
 
-app.get("/posts", async (_request, response) => {
-  const data = await loadData();
-  response.json({ posts: normalizePosts(data.posts) });
+app.get("/accounts", (_request, response) => {
+  response.json({ accounts: accounts.map(describeAccount) });
 });
 
+app.use(
+  "/accounts/:handle",
+  (request, response, next) => {
+    const account = findAccount(accounts, request.params.handle);
+    if (!account) {
+      response.status(404).json({ error: `Unknown account: ${request.params.handle}` });
+      return;
+    }
+    response.locals.account = account;
+    next();
+  },
+  accountRouter
+);
+
+app.use(
+  "/",
+  (_request, response, next) => {
+    response.locals.account = defaultAccount;
+    next();
+  },
+  accountRouter
+);
+
+async function enforceRetention(account, retention = RETENTION) {
+  const store = stores.get(account.handle);
+  const result = await applyRetention(store, { ...retention, archiveDir: path.join(ARCHIVE_DIR, account.handle) });
+  if (result?.posts) {
+    retainedPosts.inc({ account: account.handle, mode: result.mode }, result.posts);
+    if (result.mode === "archive") publishStats(account, store, []);
+  }
+  return result;
+}
+
+async function enforceRetentionForAll() {
+  for (const account of accounts) {
+    try {
+      const result = await enforceRetention(account);
+      if (result?.posts) {
+        const verb = result.mode === "archive" ? "Archived" : "Compacted";
+        console.log(`${verb} ${result.posts} posts for @${account.handle} older than ${result.before}`);
+      }
+    } catch (error) {
+      console.error(`Retention failed for @${account.handle}: ${error.message}`);
+    }
+  }
+}
+
+async function publishAccountDigest(account, options) {
+  const digest = computeDigest(stores.get(account.handle), account, options);
+  const result = await publishDigest(digest, {
+    formats: DIGEST.formats,
+    outputDir: DIGEST_DIR,
+    webhookUrl: process.env.DIGEST_WEBHOOK_URL || null,
+    secret: process.env.DIGEST_WEBHOOK_SECRET || null,
+  });
+  digestsPublished.inc({ account: account.handle, delivery: result.delivery.status });
+  return result;
+}
+
+async function publishScheduledDigests(runAt) {
+  const { period, timeZone, top } = DIGEST;
+  const window = digestWindow(period, timeZone, { now: runAt.getTime() });
+  for (const account of accounts) {
+    try {
+      const result = await publishAccountDigest(account, { period, timeZone, top, ...window });
+      console.log(`Published digest ${result.id} to ${result.files.join(", ")}`);
+      if (result.delivery.status === "failed") {
+        console.error(`Digest webhook failed for ${result.id}: ${result.delivery.lastError}`);
+      }
+    } catch (error) {
+      console.error(`Digest failed for @${account.handle}: ${error.message}`);
+    }
+  }
+}
+
 app.listen(PORT, () => {
-  console.log(`TruthSocial service listening on ${PORT}`);
+  console.log(`TruthSocial service listening on ${PORT} (${accounts.length} accounts)`);
 });
 
-pollFeed();
-setInterval(pollFeed, POLL_INTERVAL_MS);
+for (const poller of pollers.values()) {
+  poller.start();
+}
+
+if (DIGEST.cron) {
+  const schedule = startSchedule(DIGEST.cron, { timeZone: DIGEST.timeZone, run: publishScheduledDigests });
+  const { nextRunAt } = schedule.describe();
+  console.log(`Digest reports scheduled for "${DIGEST.cron.expression}" in ${DIGEST.timeZone}, next at ${nextRunAt}`);
+}
+
+if (RETENTION.days) {
+  enforceRetentionForAll();
+  setInterval(enforceRetentionForAll, RETENTION_INTERVAL_MS).unref();
+}
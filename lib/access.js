@@ -0,0 +1,65 @@
+export function parseCorsOrigins(value) {
+  const entries = String(value || "")
+    .split(",")
+    .map((entry) => entry.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+  if (!entries.length || entries.includes("*")) return "*";
+  return entries.map((entry) => {
+    if (!entry.includes("*")) return entry;
+    const pattern = entry
+      .split("*")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*");
+    return new RegExp(`^${pattern}$`);
+  });
+}
+
+export function createRateLimiter({ windowMs, max, keyMax = max, keys, onLimited = () => {} }) {
+  const windows = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  const sweep = (now) => {
+    if (now < nextSweep) return;
+    for (const [id, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(id);
+    }
+    nextSweep = now + windowMs;
+  };
+
+  const identify = (request) => {
+    const key = keys?.authenticate(request);
+    if (key) return { id: `key:${key.name}`, limit: keyMax };
+    return { id: `ip:${request.ip}`, limit: max };
+  };
+
+  return (request, response, next) => {
+    const { id, limit } = identify(request);
+    if (!limit) {
+      next();
+      return;
+    }
+    const now = Date.now();
+    sweep(now);
+    let entry = windows.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(id, entry);
+    }
+    entry.count += 1;
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    response.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, limit - entry.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    if (entry.count > limit) {
+      onLimited(request, { id });
+      response
+        .status(429)
+        .set("Retry-After", String(resetSeconds))
+        .json({ error: `Rate limit exceeded: try again in ${resetSeconds}s` });
+      return;
+    }
+    next();
+  };
+}
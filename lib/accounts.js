@@ -0,0 +1,141 @@
+import { promises as fs } from "fs";
+
+const DEFAULT_ACCOUNT = { handle: "realDonaldTrump", displayName: "Donald Trump", id: "107780257626128497" };
+const HANDLE_PATTERN = /^[A-Za-z0-9_]{1,30}$/;
+const MIN_POLL_INTERVAL_MS = 5000;
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+export function buildStatusesUrl(accountId) {
+  return `https://truthsocial.com/api/v1/accounts/${accountId}/statuses?exclude_replies=true&only_replies=false&with_muted=true`;
+}
+
+function parseAccountList(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [handle, id] = entry.split(":").map((part) => part.trim());
+      return { handle: handle.replace(/^@/, ""), id };
+    });
+}
+
+function normalizeAccount(entry, defaults) {
+  const handle = String(entry?.handle || "").replace(/^@/, "");
+  if (!HANDLE_PATTERN.test(handle)) {
+    throw new Error(`Invalid account handle: ${JSON.stringify(entry?.handle)}`);
+  }
+  const id = entry.id ? String(entry.id) : "";
+  const sourceUrl = entry.sourceUrl || (id ? buildStatusesUrl(id) : "");
+  if (!sourceUrl) {
+    throw new Error(`Account @${handle} needs an id or a sourceUrl`);
+  }
+  const pollIntervalMs = Number.parseInt(entry.pollIntervalMs ?? defaults.pollIntervalMs, 10);
+  return {
+    handle,
+    id,
+    displayName: entry.displayName || handle,
+    sourceUrl,
+    pollIntervalMs: Number.isNaN(pollIntervalMs) || pollIntervalMs <= 0 ? defaults.pollIntervalMs : pollIntervalMs,
+    profileUrl: `https://truthsocial.com/@${handle}`,
+  };
+}
+
+async function readAccountsFile(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, "utf-8");
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : parsed.accounts || [];
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+export async function loadAccounts({ configPath, env, pollIntervalMs }) {
+  const defaults = { pollIntervalMs };
+  let entries = await readAccountsFile(configPath);
+  if (!entries && env.TRUTHSOCIAL_ACCOUNTS) {
+    entries = parseAccountList(env.TRUTHSOCIAL_ACCOUNTS);
+  }
+  if (!entries || !entries.length) {
+    const legacyUrl = env.TRUTHSOCIAL_SOURCE_URL || env.TRUTHSOCIAL_API_URL || env.TRUTHSOCIAL_FEED_URL;
+    entries = [{ ...DEFAULT_ACCOUNT, sourceUrl: legacyUrl }];
+  }
+
+  const accounts = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    const account = normalizeAccount(entry, defaults);
+    const key = account.handle.toLowerCase();
+    if (seen.has(key)) {
+      throw new Error(`Duplicate account handle: @${account.handle}`);
+    }
+    seen.add(key);
+    accounts.push(account);
+  }
+  return accounts;
+}
+
+export function findAccount(accounts, handle) {
+  if (!handle) return null;
+  const key = String(handle).replace(/^@/, "").toLowerCase();
+  return accounts.find((account) => account.handle.toLowerCase() === key) || null;
+}
+
+export function parseAccountUpdate(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Request body must be a JSON object" };
+  }
+  const changes = {};
+  if (body.sourceUrl !== undefined) {
+    let url;
+    try {
+      url = new URL(String(body.sourceUrl));
+    } catch (error) {
+      return { error: "Invalid sourceUrl: expected an absolute http(s) URL" };
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return { error: "Invalid sourceUrl: expected an absolute http(s) URL" };
+    }
+    changes.sourceUrl = url.toString();
+  }
+  if (body.pollIntervalMs !== undefined) {
+    const pollIntervalMs = Number(body.pollIntervalMs);
+    if (!Number.isInteger(pollIntervalMs) || pollIntervalMs < MIN_POLL_INTERVAL_MS) {
+      return { error: `Invalid pollIntervalMs: expected an integer of at least ${MIN_POLL_INTERVAL_MS}` };
+    }
+    changes.pollIntervalMs = pollIntervalMs;
+  }
+  if (body.displayName !== undefined) {
+    const displayName = String(body.displayName).trim();
+    if (!displayName || displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+      return { error: `Invalid displayName: expected 1 to ${MAX_DISPLAY_NAME_LENGTH} characters` };
+    }
+    changes.displayName = displayName;
+  }
+  if (!Object.keys(changes).length) {
+    return { error: "Nothing to update: expected sourceUrl, pollIntervalMs or displayName" };
+  }
+  return { changes };
+}
+
+export async function saveAccounts(configPath, accounts) {
+  try {
+    await fs.access(configPath);
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+  const entries = accounts.map(({ handle, id, displayName, sourceUrl, pollIntervalMs }) => ({
+    handle,
+    displayName,
+    ...(id ? { id } : {}),
+    ...(id && sourceUrl === buildStatusesUrl(id) ? {} : { sourceUrl }),
+    pollIntervalMs,
+  }));
+  const tempPath = `${configPath}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify({ accounts: entries }, null, 2)}\n`);
+  await fs.rename(tempPath, configPath);
+  return true;
+}
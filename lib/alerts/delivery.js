@@ -0,0 +1,56 @@
+import { createHmac } from "crypto";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+export async function deliverWebhook(
+  url,
+  payload,
+  {
+    secret,
+    attempts = 4,
+    baseDelayMs = 1000,
+    timeoutMs = 10000,
+    userAgent = "truthsocial-alerts/1.0",
+    idHeader = "X-Alert-Id",
+  }
+) {
+  const body = JSON.stringify(payload);
+  let lastError = null;
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": userAgent,
+      [idHeader]: payload.id,
+      "X-Signature-Timestamp": timestamp,
+    };
+    if (secret) {
+      headers["X-Signature"] = signPayload(secret, timestamp, body);
+    }
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (response.ok) {
+        return { status: "delivered", attempts: attempt, deliveredAt: new Date().toISOString() };
+      }
+      lastError = `Webhook responded ${response.status}`;
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        return { status: "failed", attempts: attempt, lastError };
+      }
+    } catch (error) {
+      lastError = error.message;
+    }
+    if (attempt < attempts) {
+      await sleep(baseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+  return { status: "failed", attempts, lastError };
+}
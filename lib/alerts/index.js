@@ -0,0 +1,178 @@
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { deliverWebhook } from "./delivery.js";
+import { evaluateRule, validateRule } from "./rules.js";
+
+const DEFAULT_HISTORY_LIMIT = 500;
+
+async function readRules(filePath) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, "utf-8"));
+    return Array.isArray(parsed) ? parsed : parsed.rules || [];
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function readHistory(filePath, limit) {
+  try {
+    const lines = (await fs.readFile(filePath, "utf-8")).split("\n").filter(Boolean);
+    return lines
+      .slice(-limit)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+export function createAlertService({
+  rulesPath,
+  dataDir,
+  webhookUrl = null,
+  secret = null,
+  maxPostAgeMs = 60 * 60 * 1000,
+  historyLimit = DEFAULT_HISTORY_LIMIT,
+  delivery = {},
+}) {
+  const historyPath = path.join(dataDir, "alerts", "history.ndjson");
+  const deadLetterPath = path.join(dataDir, "alerts", "dead_letter.ndjson");
+  let rules = [];
+  let history = [];
+  const lastFired = new Map();
+
+  const firedKey = (ruleId, account) => `${ruleId}:${account}`;
+
+  const saveRules = async () => {
+    await fs.mkdir(path.dirname(rulesPath), { recursive: true });
+    const tempPath = `${rulesPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ rules }, null, 2));
+    await fs.rename(tempPath, rulesPath);
+  };
+
+  const append = async (filePath, entry) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+  };
+
+  const dispatch = async (alert, rule) => {
+    const url = rule.webhookUrl || webhookUrl;
+    if (!url) {
+      alert.delivery = { status: "skipped", attempts: 0, lastError: "No webhook configured" };
+    } else {
+      alert.delivery = await deliverWebhook(url, alert.payload, { secret, ...delivery });
+      if (alert.delivery.status === "failed") {
+        await append(deadLetterPath, { url, failedAt: new Date().toISOString(), ...alert });
+      }
+    }
+    await append(historyPath, alert);
+  };
+
+  return {
+    async load() {
+      const loaded = [];
+      for (const input of await readRules(rulesPath)) {
+        const { rule, error } = validateRule(input);
+        if (error) {
+          throw new Error(`Invalid alert rule ${input.id || input.name || ""}: ${error}`);
+        }
+        loaded.push(rule);
+      }
+      rules = loaded;
+      history = await readHistory(historyPath, historyLimit);
+      for (const { payload } of history) {
+        const lastPost = payload.posts[payload.posts.length - 1];
+        const firedAt = Date.parse(lastPost?.timestamp || payload.triggeredAt);
+        lastFired.set(firedKey(payload.rule.id, payload.account), firedAt);
+      }
+    },
+
+    listRules() {
+      return rules;
+    },
+
+    getRule(id) {
+      return rules.find((rule) => rule.id === id) || null;
+    },
+
+    async createRule(input) {
+      const { rule, error } = validateRule({ ...input, id: undefined });
+      if (error) return { error };
+      rules = [...rules, rule];
+      await saveRules();
+      return { rule };
+    },
+
+    async updateRule(id, input) {
+      const existing = this.getRule(id);
+      if (!existing) return null;
+      const { rule, error } = validateRule({ ...input, id }, existing);
+      if (error) return { error };
+      rules = rules.map((entry) => (entry.id === id ? rule : entry));
+      await saveRules();
+      return { rule };
+    },
+
+    async deleteRule(id) {
+      if (!this.getRule(id)) return false;
+      rules = rules.filter((rule) => rule.id !== id);
+      await saveRules();
+      return true;
+    },
+
+    history({ limit = 50, ruleId, account } = {}) {
+      return history
+        .filter((alert) => !ruleId || alert.payload.rule.id === ruleId)
+        .filter((alert) => !account || alert.payload.account === account)
+        .slice(-limit)
+        .reverse();
+    },
+
+    evaluate(account, store, posts) {
+      const now = Date.now();
+      const fresh = posts
+        .filter((post) => now - Date.parse(post.timestamp) <= maxPostAgeMs)
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+      const triggered = [];
+      for (const rule of rules) {
+        if (!rule.enabled || (rule.account && rule.account.toLowerCase() !== account.handle.toLowerCase())) {
+          continue;
+        }
+        for (const post of fresh) {
+          const key = firedKey(rule.id, account.handle);
+          const match = evaluateRule(rule, { store, post, lastFiredAt: lastFired.get(key) });
+          if (!match) continue;
+          const triggeredAt = new Date().toISOString();
+          lastFired.set(key, Date.parse(post.timestamp));
+          const alert = {
+            payload: {
+              id: randomUUID(),
+              rule: { id: rule.id, name: rule.name, type: rule.type },
+              account: account.handle,
+              triggeredAt,
+              reason: match.reason,
+              posts: match.posts.map(({ id, timestamp, url, content }) => ({ id, timestamp, url, content })),
+            },
+            delivery: { status: "pending", attempts: 0 },
+          };
+          history.push(alert);
+          if (history.length > historyLimit) history.shift();
+          triggered.push(alert);
+          dispatch(alert, rule).catch((error) => {
+            console.error(`Failed to record alert ${alert.payload.id}`, error);
+          });
+        }
+      }
+      return triggered;
+    },
+  };
+}
@@ -0,0 +1,113 @@
+import { randomUUID } from "crypto";
+import { stripHtml } from "../posts.js";
+
+export const RULE_TYPES = ["keyword", "cadence", "silence"];
+
+const MINUTE_MS = 60000;
+
+function positiveNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    return { error: `${name} must be a positive number` };
+  }
+  return { value: number };
+}
+
+export function validateRule(input, existing = {}) {
+  const rule = { ...existing, ...input };
+  if (!RULE_TYPES.includes(rule.type)) {
+    return { error: `type must be one of ${RULE_TYPES.join(", ")}` };
+  }
+  const normalized = {
+    id: String(rule.id || randomUUID()),
+    name: String(rule.name || `${rule.type} rule`),
+    type: rule.type,
+    account: rule.account ? String(rule.account).replace(/^@/, "") : null,
+    webhookUrl: rule.webhookUrl ? String(rule.webhookUrl) : null,
+    enabled: rule.enabled !== false,
+  };
+  if (normalized.webhookUrl) {
+    try {
+      const { protocol } = new URL(normalized.webhookUrl);
+      if (!["http:", "https:"].includes(protocol)) throw new Error(protocol);
+    } catch (error) {
+      return { error: "webhookUrl must be an http(s) URL" };
+    }
+  }
+
+  if (rule.type === "keyword") {
+    const source = rule.pattern || (Array.isArray(rule.keywords) ? rule.keywords : [])
+      .map((keyword) => String(keyword).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|");
+    if (!source) return { error: "keyword rules need a pattern or a keywords list" };
+    const flags = rule.flags ?? "i";
+    try {
+      new RegExp(source, flags);
+    } catch (error) {
+      return { error: `Invalid pattern: ${error.message}` };
+    }
+    return { rule: { ...normalized, pattern: source, flags } };
+  }
+
+  if (rule.type === "cadence") {
+    const count = positiveNumber(rule.count, "count");
+    const windowMinutes = positiveNumber(rule.windowMinutes, "windowMinutes");
+    const failed = [count, windowMinutes].find((result) => result.error);
+    if (failed) return { error: failed.error };
+    const cooldown = positiveNumber(rule.cooldownMinutes ?? windowMinutes.value, "cooldownMinutes");
+    if (cooldown.error) return { error: cooldown.error };
+    return {
+      rule: {
+        ...normalized,
+        count: Math.floor(count.value),
+        windowMinutes: windowMinutes.value,
+        cooldownMinutes: cooldown.value,
+      },
+    };
+  }
+
+  const hours = positiveNumber(rule.hours, "hours");
+  if (hours.error) return { error: hours.error };
+  return { rule: { ...normalized, hours: hours.value } };
+}
+
+function postText(post) {
+  return stripHtml(`${post.content || ""} ${post.reblog?.content || ""} ${post.quote?.content || ""}`);
+}
+
+function previousPost(store, post) {
+  const before = store.scan({ order: "desc", after: { time: Date.parse(post.timestamp), id: post.id } });
+  for (const candidate of before) {
+    return candidate;
+  }
+  return null;
+}
+
+export function evaluateRule(rule, { store, post, lastFiredAt }) {
+  const time = Date.parse(post.timestamp);
+
+  if (rule.type === "keyword") {
+    const matches = postText(post).match(new RegExp(rule.pattern, rule.flags.replace("g", "") + "g"));
+    if (!matches) return null;
+    const terms = Array.from(new Set(matches.map((match) => match.toLowerCase())));
+    return { reason: `Matched ${terms.join(", ")}`, posts: [post] };
+  }
+
+  if (rule.type === "cadence") {
+    if (lastFiredAt && time - lastFiredAt < rule.cooldownMinutes * MINUTE_MS) return null;
+    const since = new Date(time - rule.windowMinutes * MINUTE_MS).toISOString();
+    const posts = store.list({ since, until: post.timestamp });
+    if (posts.length <= rule.count) return null;
+    return {
+      reason: `${posts.length} posts in ${rule.windowMinutes} minutes (threshold ${rule.count})`,
+      posts,
+    };
+  }
+
+  const previous = previousPost(store, post);
+  if (!previous) return null;
+  const silenceMs = time - Date.parse(previous.timestamp);
+  if (silenceMs < rule.hours * 3600000) return null;
+  const silenceHours = Math.round((silenceMs / 3600000) * 10) / 10;
+  return { reason: `First post after ${silenceHours} hours of silence`, posts: [post] };
+}
@@ -0,0 +1,233 @@
+import { parseDuration } from "./engagement.js";
+import { stripHtml } from "./posts.js";
+import { parseRangeQuery } from "./stats.js";
+
+export const ANALYTICS_KINDS = {
+  hashtags: "tag",
+  mentions: "handle",
+  domains: "domain",
+};
+
+const DEFAULT_RANGE = "30d";
+const DEFAULT_TOP = 20;
+const MAX_TOP = 200;
+const MAX_NGRAM = 3;
+const BOOLEAN_VALUES = { 1: true, true: true, yes: true, 0: false, false: false, no: false };
+
+const LINK_PATTERN = /https?:\/\/\S+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|gov|edu|io|co|us|uk|news|tv|info|me)\b\S*/gi;
+const STOPWORDS = new Set(
+  `a about above after again against all also am an and any are aren't as at be because been before being below
+  between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down during each
+  even ever every few for from further get gets got had hadn't has hasn't have haven't having he he'd he'll he's
+  her here here's hers herself him himself his how how's however i i'd i'll i'm i've if in into is isn't it it's
+  its itself just let's like made make many may me more most much must mustn't my myself new no nor not now of
+  off on once one only or other ought our ours ourselves out over own per really same say said says she she'd
+  she'll she's should shouldn't so some such than that that's the their theirs them themselves then there
+  there's these they they'd they'll they're they've this those through to too under until up upon us very via
+  was wasn't we we'd we'll we're we've were weren't what what's when when's where where's which while who who's
+  whom why why's will with won't would wouldn't yet you you'd you'll you're you've your yours yourself
+  yourselves amp rt`.split(/\s+/)
+);
+
+const analyses = new WeakMap();
+
+function postText(post) {
+  return stripHtml(post.content) || stripHtml(post.reblog?.content);
+}
+
+function postHtml(post) {
+  return post.content || post.reblog?.content || "";
+}
+
+function hostOf(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== "http:" && protocol !== "https:") return null;
+    return hostname.toLowerCase().replace(/^www\./, "");
+  } catch (error) {
+    return null;
+  }
+}
+
+function linkDomains(post, text) {
+  const domains = new Set();
+  for (const [anchor] of postHtml(post).matchAll(/<a\s[^>]*>/gi)) {
+    if (/class\s*=\s*["'][^"']*\b(mention|hashtag)\b/i.test(anchor)) continue;
+    const href = anchor.match(/href\s*=\s*["']([^"']+)["']/i)?.[1];
+    const host = href && hostOf(href.replace(/&amp;/g, "&"));
+    if (host) domains.add(host);
+  }
+  for (const [url] of text.matchAll(/https?:\/\/[^\s<>"]+/gi)) {
+    const host = hostOf(url);
+    if (host) domains.add(host);
+  }
+  const card = post.card?.url || post.reblog?.card?.url;
+  const cardHost = card && hostOf(card);
+  if (cardHost) domains.add(cardHost);
+  return [...domains];
+}
+
+function tokenize(text) {
+  return text
+    .replace(LINK_PATTERN, " ")
+    .split(/[.!?;:,()[\]{}"“”…—–\n]+/)
+    .map((segment) =>
+      segment
+        .split(/\s+/)
+        .filter((word) => word && !/^[#@$]/.test(word))
+        .map((word) =>
+          word
+            .toLowerCase()
+            .replace(/’/g, "'")
+            .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")
+            .replace(/'s$/, "")
+        )
+        .filter((word) => word && /\p{L}/u.test(word))
+    )
+    .filter((segment) => segment.length);
+}
+
+export function analyzePost(post) {
+  let analysis = analyses.get(post);
+  if (analysis) return analysis;
+  const text = postText(post);
+  const hashtags = new Set((post.tags || []).map((tag) => tag.toLowerCase()));
+  for (const [, tag] of text.matchAll(/(?:^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu)) hashtags.add(tag.toLowerCase());
+  const mentions = new Set((post.mentions || []).map((mention) => mention.handle.toLowerCase()).filter(Boolean));
+  for (const [, handle] of text.matchAll(/(?:^|[^\p{L}\p{N}_])@([A-Za-z0-9_]+(?:@[A-Za-z0-9.-]+[A-Za-z0-9])?)/gu)) {
+    mentions.add(handle.toLowerCase());
+  }
+  const words = text
+    .replace(LINK_PATTERN, " ")
+    .split(/\s+/)
+    .filter((word) => !/^[#@]/.test(word))
+    .map((word) => word.replace(/[^\p{L}]/gu, ""))
+    .filter((word) => word.length >= 2);
+  const capsWords = words.filter((word) => word === word.toUpperCase() && word !== word.toLowerCase()).length;
+  const exclamations = (text.match(/!/g) || []).length;
+  analysis = {
+    text,
+    segments: tokenize(text),
+    hashtags: [...hashtags],
+    mentions: [...mentions],
+    domains: linkDomains(post, text),
+    words: words.length,
+    capsWords,
+    capsRatio: words.length ? capsWords / words.length : 0,
+    exclamations,
+    exclamationDensity: words.length ? exclamations / words.length : 0,
+  };
+  analyses.set(post, analysis);
+  return analysis;
+}
+
+function rank(counts, key, top) {
+  return Array.from(counts.entries(), ([value, { count, posts }]) => ({ [key]: value, count, posts }))
+    .sort((a, b) => b.count - a.count || b.posts - a.posts || a[key].localeCompare(b[key]))
+    .slice(0, top);
+}
+
+function tally(counts, value, seen) {
+  const entry = counts.get(value) || { count: 0, posts: 0 };
+  entry.count += 1;
+  if (!seen.has(value)) {
+    entry.posts += 1;
+    seen.add(value);
+  }
+  counts.set(value, entry);
+}
+
+export function topTerms(posts, { n = 1, top = DEFAULT_TOP } = {}) {
+  const counts = new Map();
+  for (const post of posts) {
+    const seen = new Set();
+    for (const segment of analyzePost(post).segments) {
+      for (let index = 0; index + n <= segment.length; index += 1) {
+        const gram = segment.slice(index, index + n);
+        if (STOPWORDS.has(gram[0]) || STOPWORDS.has(gram[n - 1])) continue;
+        if (gram.some((word) => word.length < 2)) continue;
+        tally(counts, gram.join(" "), seen);
+      }
+    }
+  }
+  return rank(counts, "term", top);
+}
+
+export function topEntities(posts, kind, { top = DEFAULT_TOP } = {}) {
+  const counts = new Map();
+  for (const post of posts) {
+    const seen = new Set();
+    for (const value of analyzePost(post)[kind]) tally(counts, value, seen);
+  }
+  return rank(counts, ANALYTICS_KINDS[kind], top);
+}
+
+export function summarizeStyle(posts) {
+  let words = 0;
+  let capsWords = 0;
+  let exclamations = 0;
+  let shouting = 0;
+  let count = 0;
+  for (const post of posts) {
+    const analysis = analyzePost(post);
+    if (!analysis.words) continue;
+    count += 1;
+    words += analysis.words;
+    capsWords += analysis.capsWords;
+    exclamations += analysis.exclamations;
+    if (analysis.capsRatio >= 0.5) shouting += 1;
+  }
+  return {
+    posts: count,
+    words,
+    capsRatio: words ? capsWords / words : 0,
+    exclamationDensity: words ? exclamations / words : 0,
+    exclamationsPerPost: count ? exclamations / count : 0,
+    mostlyCapsPosts: shouting,
+  };
+}
+
+export function parseAnalyticsQuery(query, now = Date.now()) {
+  const options = {};
+  if (query.start || query.end) {
+    const parsed = parseRangeQuery(query);
+    if (parsed.error) return { error: parsed.error };
+    options.since = parsed.options.start.toISOString();
+    options.until = parsed.options.end.toISOString();
+  } else {
+    const range = query.range || DEFAULT_RANGE;
+    const rangeMs = range === "all" ? Infinity : parseDuration(range);
+    if (!rangeMs) return { error: "Invalid range: expected all or a duration such as 24h, 7d or 4w" };
+    options.range = range;
+    if (rangeMs !== Infinity) options.since = new Date(now - rangeMs).toISOString();
+  }
+
+  const top = Number.parseInt(query.top || String(DEFAULT_TOP), 10);
+  if (Number.isNaN(top) || top <= 0 || top > MAX_TOP) {
+    return { error: `Invalid top: expected an integer between 1 and ${MAX_TOP}` };
+  }
+  options.top = top;
+
+  const n = Number.parseInt(query.n || "1", 10);
+  if (Number.isNaN(n) || n < 1 || n > MAX_NGRAM) {
+    return { error: `Invalid n: expected an integer between 1 and ${MAX_NGRAM}` };
+  }
+  options.n = n;
+
+  if (query.exclude_retruths !== undefined && query.exclude_retruths !== "") {
+    const excludeRetruths = BOOLEAN_VALUES[String(query.exclude_retruths).toLowerCase()];
+    if (excludeRetruths === undefined) return { error: "Invalid exclude_retruths: expected true or false" };
+    options.excludeRetruths = excludeRetruths;
+  }
+  return { options };
+}
+
+export function selectPosts(store, { since, until, excludeRetruths }) {
+  const posts = [];
+  for (const post of store.scan({ since })) {
+    if (until && Date.parse(post.timestamp) >= Date.parse(until)) break;
+    if (excludeRetruths && post.reblog) continue;
+    posts.push(post);
+  }
+  return posts;
+}
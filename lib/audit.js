@@ -0,0 +1,51 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+const MAX_LIST = 1000;
+
+export function createAuditLog({ filePath }) {
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    record(entry) {
+      const record = { at: new Date().toISOString(), ...entry };
+      return enqueue(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify(record)}\n`);
+        return record;
+      });
+    },
+
+    async list({ limit = 100, action, account, actor } = {}) {
+      let raw = "";
+      try {
+        raw = await fs.readFile(filePath, "utf-8");
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      const entries = [];
+      const lines = raw.split("\n");
+      for (let i = lines.length - 1; i >= 0 && entries.length < Math.min(limit, MAX_LIST); i -= 1) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (error) {
+          continue;
+        }
+        if (action && entry.action !== action) continue;
+        if (account && entry.account !== account) continue;
+        if (actor && entry.actor !== actor) continue;
+        entries.push(entry);
+      }
+      return entries;
+    },
+  };
+}
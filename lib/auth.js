@@ -0,0 +1,91 @@
+import { createHash, timingSafeEqual } from "crypto";
+
+export const API_KEY_ROLES = ["admin", "client"];
+
+const KEY_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const MIN_KEY_LENGTH = 16;
+
+function digest(value) {
+  return createHash("sha256").update(String(value)).digest();
+}
+
+export function readBearerToken(request) {
+  const header = request.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+}
+
+export function readApiKey(request) {
+  return readBearerToken(request) || String(request.get("x-api-key") || "").trim();
+}
+
+export function parseApiKeys(value, { adminToken } = {}) {
+  const entries = String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, key, role = "admin"] = entry.split(":").map((part) => part.trim());
+      if (!KEY_NAME_PATTERN.test(name || "")) {
+        throw new Error(`Invalid API key name: ${JSON.stringify(name)}`);
+      }
+      if (!key || key.length < MIN_KEY_LENGTH) {
+        throw new Error(`API key ${name} must be at least ${MIN_KEY_LENGTH} characters`);
+      }
+      if (!API_KEY_ROLES.includes(role)) {
+        throw new Error(`Invalid role for API key ${name}: expected one of ${API_KEY_ROLES.join(", ")}`);
+      }
+      return { name, role, key };
+    });
+  if (adminToken) entries.unshift({ name: "admin", role: "admin", key: adminToken });
+  const names = new Set();
+  for (const { name } of entries) {
+    if (names.has(name)) throw new Error(`Duplicate API key name: ${name}`);
+    names.add(name);
+  }
+  return entries;
+}
+
+export function createApiKeys(entries) {
+  const keys = entries.map(({ name, role, key }) => ({ name, role, digest: digest(key) }));
+
+  return {
+    get size() {
+      return keys.length;
+    },
+
+    hasRole(role) {
+      return keys.some((key) => key.role === role);
+    },
+
+    authenticate(request) {
+      const provided = readApiKey(request);
+      if (!provided) return null;
+      const providedDigest = digest(provided);
+      const match = keys.find((key) => timingSafeEqual(providedDigest, key.digest));
+      return match ? { name: match.name, role: match.role } : null;
+    },
+  };
+}
+
+export function requireApiKey(keys, { role = "admin", onDenied = () => {} } = {}) {
+  return (request, response, next) => {
+    if (!keys.hasRole(role)) {
+      response.status(503).json({ error: "Admin API is disabled: set API_KEYS or ADMIN_TOKEN to enable it" });
+      return;
+    }
+    const key = keys.authenticate(request);
+    if (!key) {
+      onDenied(request, { status: 401, key: null });
+      response.status(401).set("WWW-Authenticate", "Bearer").json({ error: "Missing or invalid API key" });
+      return;
+    }
+    if (key.role !== role) {
+      onDenied(request, { status: 403, key });
+      response.status(403).json({ error: `API key ${key.name} does not have the ${role} role` });
+      return;
+    }
+    response.locals.apiKey = key;
+    next();
+  };
+}
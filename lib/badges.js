@@ -0,0 +1,201 @@
+import { parseDuration } from "./engagement.js";
+import { stripHtml, toHourKey } from "./posts.js";
+import { escapeXml } from "./syndication.js";
+
+const HOUR_MS = 3600000;
+const DEFAULT_RANGE = "7d";
+const MAX_RANGE_MS = 366 * 86400000;
+const DEFAULT_SPARKLINE_HOURS = 24;
+const MAX_SPARKLINE_HOURS = 168;
+const MAX_LABEL_LENGTH = 40;
+const SNIPPET_LENGTH = 140;
+const UNIT_NAMES = { s: "second", m: "minute", h: "hour", d: "day", w: "week" };
+
+export const BADGE_COLORS = {
+  blue: "#1d4ed8",
+  green: "#16a34a",
+  orange: "#ea580c",
+  red: "#dc2626",
+  grey: "#64748b",
+};
+
+export const THEMES = {
+  light: { background: "#ffffff", text: "#0f172a", muted: "#64748b", accent: "#1d4ed8", area: "#1d4ed826" },
+  dark: { background: "#0f172a", text: "#f8fafc", muted: "#94a3b8", accent: "#38bdf8", area: "#38bdf833" },
+};
+
+function describeRange(range) {
+  const [, amount, unit] = range.match(/^(\d+)\s*([smhdw])$/i);
+  const name = UNIT_NAMES[unit.toLowerCase()];
+  return `${amount} ${Number(amount) === 1 ? name : `${name}s`}`;
+}
+
+export function parseWidgetQuery(query) {
+  const range = String(query.range || DEFAULT_RANGE).trim();
+  const rangeMs = parseDuration(range);
+  if (!rangeMs || rangeMs < HOUR_MS || rangeMs > MAX_RANGE_MS) {
+    return { error: "Invalid range: expected a duration between 1h and 366d such as 24h, 7d or 4w" };
+  }
+  const theme = query.theme || "light";
+  if (!THEMES[theme]) {
+    return { error: `Invalid theme: expected one of ${Object.keys(THEMES).join(", ")}` };
+  }
+  const color = query.color || "blue";
+  const colorValue = BADGE_COLORS[color] || (/^[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color) ? `#${color}` : null);
+  if (!colorValue) {
+    return { error: `Invalid color: expected one of ${Object.keys(BADGE_COLORS).join(", ")} or a hex value` };
+  }
+  const label = query.label === undefined ? undefined : String(query.label).slice(0, MAX_LABEL_LENGTH);
+  const hours = Number.parseInt(query.hours || String(DEFAULT_SPARKLINE_HOURS), 10);
+  if (Number.isNaN(hours) || hours < 2 || hours > MAX_SPARKLINE_HOURS) {
+    return { error: `Invalid hours: expected an integer between 2 and ${MAX_SPARKLINE_HOURS}` };
+  }
+  return {
+    options: { range, rangeMs, rangeLabel: describeRange(range), theme, color: colorValue, label, hours },
+  };
+}
+
+export function hourlySeries(store, hours, now = Date.now()) {
+  const end = Date.parse(toHourKey(now));
+  const start = end - (hours - 1) * HOUR_MS;
+  const hourly = store.hourly({ since: new Date(start).toISOString() });
+  const counts = new Map(hourly.map(({ hour, count }) => [hour, count]));
+  return Array.from({ length: hours }, (_, index) => {
+    const hour = new Date(start + index * HOUR_MS).toISOString();
+    return { hour, count: counts.get(hour) || 0 };
+  });
+}
+
+export function countSince(store, rangeMs, now = Date.now()) {
+  const since = new Date(Date.parse(toHourKey(now - rangeMs)) + HOUR_MS).toISOString();
+  return store.hourly({ since }).reduce((total, { count }) => total + count, 0);
+}
+
+export function relativeAge(timestamp, now = Date.now()) {
+  const minutes = Math.max(0, Math.round((now - Date.parse(timestamp)) / 60000));
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours}h ago`;
+  return `${Math.round(hours / 24)}d ago`;
+}
+
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    if (/[iljtf.,:;!|' ]/.test(char)) width += 3.6;
+    else if (/[mwMW@]/.test(char)) width += 10;
+    else if (/[A-Z0-9#]/.test(char)) width += 7.4;
+    else width += 6.4;
+  }
+  return Math.round(width);
+}
+
+export function renderBadge({ label, value, color = BADGE_COLORS.blue }) {
+  const labelWidth = textWidth(label) + 12;
+  const valueWidth = textWidth(value) + 12;
+  const width = labelWidth + valueWidth;
+  const title = escapeXml(`${label}: ${value}`);
+  const text = (content, x) =>
+    [
+      `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(content)}</text>`,
+      `<text x="${x}" y="14">${escapeXml(content)}</text>`,
+    ].join("");
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    `<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/><rect width="${width}" height="20" fill="url(#s)"/></g>`,
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    text(label, labelWidth / 2),
+    text(value, labelWidth + valueWidth / 2),
+    "</g>",
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+export function renderSparkline(series, { width = 240, height = 48, theme = "light", standalone = true } = {}) {
+  const colors = THEMES[theme];
+  const max = Math.max(...series.map(({ count }) => count), 1);
+  const step = series.length > 1 ? width / (series.length - 1) : width;
+  const points = series.map(({ count }, index) => {
+    const x = (index * step).toFixed(1);
+    const y = (height - 2 - (count / max) * (height - 4)).toFixed(1);
+    return `${x},${y}`;
+  });
+  const total = series.reduce((sum, { count }) => sum + count, 0);
+  const title = `${total} ${total === 1 ? "post" : "posts"} in the last ${series.length} hours`;
+  return [
+    `<svg ${standalone ? 'xmlns="http://www.w3.org/2000/svg" ' : ""}width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    `<polygon points="0,${height} ${points.join(" ")} ${width},${height}" fill="${colors.area}"/>`,
+    `<polyline points="${points.join(" ")}" fill="none" stroke="${colors.accent}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>`,
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+export function renderWidget({ account, count, latest, series, theme, rangeLabel, now = Date.now() }) {
+  const colors = THEMES[theme];
+  let latestHtml = '<p class="latest"><small>No posts tracked yet</small></p>';
+  if (latest) {
+    const text = stripHtml(latest.content) || stripHtml(latest.reblog?.content);
+    const snippet = text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH - 1).trimEnd()}…` : text;
+    const url = latest.url && /^https?:/.test(latest.url) ? latest.url : account.profileUrl;
+    latestHtml = [
+      `<p class="latest"><small>Latest post ${relativeAge(latest.timestamp, now)}</small><br />`,
+      `${escapeXml(snippet)} <a href="${escapeXml(url)}" target="_blank" rel="noreferrer">View</a></p>`,
+    ].join("");
+  }
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta http-equiv="refresh" content="300" />
+    <title>${escapeXml(account.displayName)} on Truth Social</title>
+    <style>
+      body {
+        margin: 0;
+        padding: 16px;
+        font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+        background: ${colors.background};
+        color: ${colors.text};
+      }
+      a {
+        color: ${colors.accent};
+      }
+      .count {
+        margin: 0;
+        font-size: 36px;
+        font-weight: 700;
+      }
+      .label,
+      .latest small {
+        margin: 0;
+        font-size: 12px;
+        color: ${colors.muted};
+      }
+      .latest {
+        margin: 12px 0 0;
+        font-size: 14px;
+        line-height: 1.4;
+      }
+      svg {
+        display: block;
+        width: 100%;
+        margin-top: 12px;
+      }
+    </style>
+  </head>
+  <body>
+    <p class="label">@${escapeXml(account.handle)} posts, last ${escapeXml(rangeLabel)}</p>
+    <p class="count">${count}</p>
+    ${renderSparkline(series, { theme, standalone: false }).trim()}
+    ${latestHtml}
+  </body>
+</html>
+`;
+}
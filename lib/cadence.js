@@ -0,0 +1,208 @@
+import { parseDuration } from "./engagement.js";
+import { parseHistoryQuery } from "./stats.js";
+import { toZonedDateKey, zonedParts } from "./time.js";
+
+const DEFAULT_DAYS = 90;
+const DEFAULT_BURST_POSTS = 3;
+const DEFAULT_BURST_WINDOW = "30m";
+const RECENT_MS = 7 * 86400000;
+const ACTIVE_SHARE = 0.8;
+const TOP_SILENCES = 5;
+const MAX_BURSTS = 10;
+const INTERVAL_BUCKETS = [
+  { label: "<5m", max: 5 * 60000 },
+  { label: "5-15m", max: 15 * 60000 },
+  { label: "15m-1h", max: 3600000 },
+  { label: "1-3h", max: 3 * 3600000 },
+  { label: "3-6h", max: 6 * 3600000 },
+  { label: "6-12h", max: 12 * 3600000 },
+  { label: "12-24h", max: 24 * 3600000 },
+  { label: ">24h", max: Infinity },
+];
+
+export function parseCadenceQuery(query) {
+  const { options, error } = parseHistoryQuery(query, DEFAULT_DAYS);
+  if (error) return { error };
+  const burstPosts = Number.parseInt(query.burst_posts || String(DEFAULT_BURST_POSTS), 10);
+  if (Number.isNaN(burstPosts) || burstPosts < 2 || burstPosts > 100) {
+    return { error: "Invalid burst_posts: expected an integer between 2 and 100" };
+  }
+  const burstWindowMs = parseDuration(query.burst_window || DEFAULT_BURST_WINDOW);
+  if (!burstWindowMs) {
+    return { error: "Invalid burst_window: expected a duration such as 15m or 1h" };
+  }
+  return { options: { ...options, burstPosts, burstWindowMs } };
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+function describeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a - b);
+  const buckets = INTERVAL_BUCKETS.map(({ label }) => ({ label, count: 0 }));
+  for (const interval of sorted) {
+    buckets[INTERVAL_BUCKETS.findIndex(({ max }) => interval < max)].count += 1;
+  }
+  return {
+    count: sorted.length,
+    meanMs: sorted.length ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+    minMs: sorted[0] ?? null,
+    p25Ms: quantile(sorted, 0.25),
+    medianMs: quantile(sorted, 0.5),
+    p75Ms: quantile(sorted, 0.75),
+    p90Ms: quantile(sorted, 0.9),
+    maxMs: sorted[sorted.length - 1] ?? null,
+    buckets,
+  };
+}
+
+export function detectBursts(times, { burstPosts, burstWindowMs }) {
+  const bursts = [];
+  let start = 0;
+  for (let end = 0; end < times.length; end += 1) {
+    while (times[end] - times[start] > burstWindowMs) start += 1;
+    if (end - start + 1 < burstPosts) continue;
+    const last = bursts[bursts.length - 1];
+    if (last && start <= last.lastIndex) {
+      last.lastIndex = end;
+    } else {
+      bursts.push({ firstIndex: start, lastIndex: end });
+    }
+  }
+  return bursts.map(({ firstIndex, lastIndex }) => ({
+    start: new Date(times[firstIndex]).toISOString(),
+    end: new Date(times[lastIndex]).toISOString(),
+    posts: lastIndex - firstIndex + 1,
+    durationMs: times[lastIndex] - times[firstIndex],
+  }));
+}
+
+function findSilences(times, now) {
+  const silences = [];
+  for (let index = 1; index < times.length; index += 1) {
+    silences.push({ start: times[index - 1], end: times[index], ongoing: false });
+  }
+  if (times.length && now > times[times.length - 1]) {
+    silences.push({ start: times[times.length - 1], end: now, ongoing: true });
+  }
+  return silences.map(({ start, end, ongoing }) => ({
+    start: new Date(start).toISOString(),
+    end: ongoing ? null : new Date(end).toISOString(),
+    durationMs: end - start,
+    ongoing,
+  }));
+}
+
+function shiftDateKey(key, days) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+function findStreaks(times, { timeZone, now }) {
+  const days = [...new Set(times.map((time) => toZonedDateKey(new Date(time), timeZone)))];
+  let longest = null;
+  let run = null;
+  for (const day of days) {
+    const continues = run && shiftDateKey(run.end, 1) === day;
+    run = continues ? { ...run, end: day, days: run.days + 1 } : { start: day, end: day, days: 1 };
+    if (!longest || run.days > longest.days) longest = run;
+  }
+  const today = toZonedDateKey(new Date(now), timeZone);
+  const yesterday = shiftDateKey(today, -1);
+  const current = run && (run.end === today || run.end === yesterday) ? run : null;
+  return { current, longest, activeDays: days.length };
+}
+
+function findActiveHours(times, timeZone) {
+  const hours = Array(24).fill(0);
+  for (const time of times) hours[zonedParts(new Date(time), timeZone).hour] += 1;
+  const total = times.length;
+  if (!total) return { hours, peakHour: null, window: null };
+  const peakHour = hours.indexOf(Math.max(...hours));
+  let window = null;
+  for (let length = 1; length <= 24 && !window; length += 1) {
+    for (let startHour = 0; startHour < 24; startHour += 1) {
+      let count = 0;
+      for (let offset = 0; offset < length; offset += 1) count += hours[(startHour + offset) % 24];
+      if (count / total >= ACTIVE_SHARE && (!window || count > window.posts)) {
+        window = { startHour, endHour: (startHour + length) % 24, hours: length, posts: count, share: count / total };
+      }
+    }
+  }
+  return { hours, peakHour, window };
+}
+
+export function estimateNextPost(intervals, { lastPostAt, now }) {
+  if (lastPostAt === null || !intervals.length) return null;
+  const elapsed = Math.max(0, now - lastPostAt);
+  const remaining = intervals.filter((interval) => interval > elapsed).sort((a, b) => a - b);
+  const withinHour = remaining.filter((interval) => interval <= elapsed + 3600000).length;
+  if (!remaining.length) {
+    return {
+      elapsedMs: elapsed,
+      overdue: true,
+      expectedAt: null,
+      earliest: null,
+      latest: null,
+      probabilityNextHour: 0,
+      basedOn: 0,
+    };
+  }
+  const at = (interval) => new Date(lastPostAt + interval).toISOString();
+  return {
+    elapsedMs: elapsed,
+    overdue: false,
+    expectedAt: at(quantile(remaining, 0.5)),
+    earliest: at(Math.max(quantile(remaining, 0.25), elapsed)),
+    latest: at(quantile(remaining, 0.75)),
+    probabilityNextHour: withinHour / remaining.length,
+    basedOn: remaining.length,
+  };
+}
+
+export function computeCadence(store, { start, end, timeZone, burstPosts, burstWindowMs, now = Date.now() }) {
+  const times = [];
+  for (const post of store.scan({ since: start.toISOString() })) {
+    const time = Date.parse(post.timestamp);
+    if (time >= end.getTime()) break;
+    times.push(time);
+  }
+  const intervals = times.slice(1).map((time, index) => time - times[index]);
+  const until = Math.min(now, end.getTime());
+  const silences = findSilences(times, until);
+  const current = silences.find((silence) => silence.ongoing) || null;
+  const recent = silences.filter((silence) => silence.ongoing || Date.parse(silence.end) >= now - RECENT_MS);
+  const longestThisWeek = recent.reduce(
+    (best, silence) => (!best || silence.durationMs > best.durationMs ? silence : best),
+    null
+  );
+  const bursts = detectBursts(times, { burstPosts, burstWindowMs });
+  const lastPostAt = times.length ? times[times.length - 1] : null;
+
+  return {
+    tz: timeZone,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    posts: times.length,
+    lastPostAt: lastPostAt === null ? null : new Date(lastPostAt).toISOString(),
+    intervals: describeIntervals(intervals),
+    bursts: {
+      minPosts: burstPosts,
+      windowMs: burstWindowMs,
+      count: bursts.length,
+      recent: bursts.slice(-MAX_BURSTS).reverse(),
+    },
+    silences: {
+      current,
+      longestThisWeek,
+      longest: [...silences].sort((a, b) => b.durationMs - a.durationMs).slice(0, TOP_SILENCES),
+    },
+    streaks: findStreaks(times, { timeZone, now }),
+    activeHours: findActiveHours(times, timeZone),
+    nextPost: end.getTime() > now ? estimateNextPost(intervals, { lastPostAt, now }) : null,
+  };
+}
@@ -0,0 +1,79 @@
+import { canonicalId } from "./posts.js";
+
+export const ENGAGEMENT_METRICS = ["replies", "reblogs", "favourites", "total"];
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const DEFAULT_SCHEDULE = "24h:5m,7d:1h,*:6h";
+
+export function parseDuration(value) {
+  const match = String(value || "").trim().match(/^(\d+)\s*([smhdw])$/i);
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+export function parseSchedule(value = DEFAULT_SCHEDULE) {
+  const steps = String(value)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [age, every] = part.split(":").map((piece) => piece.trim());
+      const maxAge = age === "*" ? Infinity : parseDuration(age);
+      const interval = every === "never" ? Infinity : parseDuration(every);
+      if (maxAge === null || interval === null) {
+        throw new Error(`Invalid engagement schedule step: ${part}`);
+      }
+      return { maxAge, interval };
+    })
+    .sort((a, b) => a.maxAge - b.maxAge);
+  if (!steps.length) {
+    throw new Error("Engagement schedule must contain at least one step");
+  }
+  return steps;
+}
+
+function intervalFor(schedule, age) {
+  const step = schedule.find((entry) => age < entry.maxAge);
+  return step ? step.interval : Infinity;
+}
+
+export function splitEngagement(items) {
+  const counts = new Map();
+  const posts = items.map((item) => {
+    if (!item.engagement) return item;
+    const { engagement, ...post } = item;
+    counts.set(canonicalId(post), engagement);
+    return post;
+  });
+  return { posts, counts };
+}
+
+export function dueSnapshots(store, counts, schedule, now = Date.now()) {
+  const due = [];
+  for (const [id, engagement] of counts) {
+    const post = store.get(id);
+    if (!post) continue;
+    const interval = intervalFor(schedule, now - Date.parse(post.timestamp));
+    const last = store.latestEngagement(id);
+    if (last && now - Date.parse(last.at) < interval) continue;
+    due.push({ id, snapshot: { at: new Date(now).toISOString(), ...engagement } });
+  }
+  return due;
+}
+
+export function metricValue(snapshot, metric) {
+  if (!snapshot) return 0;
+  if (metric === "total") return snapshot.replies + snapshot.reblogs + snapshot.favourites;
+  return snapshot[metric] || 0;
+}
+
+export function computeLeaderboard(store, { metric, since, limit }) {
+  const ranked = [];
+  for (const post of store.scan({ since })) {
+    const engagement = store.latestEngagement(post.id);
+    if (!engagement) continue;
+    ranked.push({ post, engagement, value: metricValue(engagement, metric) });
+  }
+  ranked.sort((a, b) => b.value - a.value || Date.parse(b.post.timestamp) - Date.parse(a.post.timestamp));
+  return ranked.slice(0, limit);
+}
@@ -0,0 +1,59 @@
+const DEFAULT_HEARTBEAT_MS = 25000;
+const DEFAULT_BUFFER_SIZE = 200;
+
+export function createEventHub({ heartbeatMs = DEFAULT_HEARTBEAT_MS, bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+  const clients = new Set();
+  const buffer = [];
+  let nextId = 1;
+
+  const format = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+  const matches = (client, event) => !client.account || event.data?.account === client.account;
+
+  const heartbeat = setInterval(() => {
+    for (const client of clients) {
+      client.response.write(": keep-alive\n\n");
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    get size() {
+      return clients.size;
+    },
+
+    publish(type, data) {
+      const event = { id: nextId, type, data };
+      nextId += 1;
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+      for (const client of clients) {
+        if (matches(client, event)) client.response.write(format(event));
+      }
+      return event;
+    },
+
+    subscribe(request, response, { account } = {}) {
+      response.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      response.write("retry: 5000\n\n");
+
+      const client = { response, account };
+      const lastEventId = Number.parseInt(request.get("last-event-id") || "", 10);
+      if (!Number.isNaN(lastEventId)) {
+        for (const event of buffer) {
+          if (event.id > lastEventId && matches(client, event)) response.write(format(event));
+        }
+      }
+
+      clients.add(client);
+      request.on("close", () => {
+        clients.delete(client);
+      });
+    },
+  };
+}
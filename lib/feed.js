@@ -0,0 +1,422 @@
+import { decodeEntities } from "./posts.js";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const ZONES = {
+  UT: "+0000",
+  UTC: "+0000",
+  GMT: "+0000",
+  Z: "+0000",
+  EST: "-0500",
+  EDT: "-0400",
+  CST: "-0600",
+  CDT: "-0500",
+  MST: "-0700",
+  MDT: "-0600",
+  PST: "-0800",
+  PDT: "-0700",
+};
+const ITEM_TAGS = new Set(["item", "entry"]);
+const CONTAINER_TAGS = new Set(["rss", "channel", "feed", "rdf:rdf"]);
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function textToHtml(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return "";
+  return trimmed
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`)
+    .join("");
+}
+
+export function parseFeedDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  let time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    const match = text.match(
+      /^(?:[^\s,]+,?\s+)?(\d{1,2})\s+([a-z]+)\.?\s+(\d{2,4})\s+(\d{1,2}:\d{2}(?::\d{2})?)\s*([a-z]+|[+-]\d{2}:?\d{2})?$/i
+    );
+    if (match) {
+      const [, day, monthName, rawYear, clock, rawZone = "GMT"] = match;
+      const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+      let year = Number(rawYear);
+      if (rawYear.length === 2) year += year < 50 ? 2000 : 1900;
+      const zone = ZONES[rawZone.toUpperCase()] || rawZone.replace(":", "");
+      if (month !== -1 && /^[+-]\d{4}$/.test(zone)) {
+        const [hours, minutes, seconds = "0"] = clock.split(":");
+        const offset = (zone[0] === "-" ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(3)));
+        time = Date.UTC(year, month, Number(day), Number(hours), Number(minutes), Number(seconds)) - offset * 60000;
+      }
+    }
+  }
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const matcher = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match = matcher.exec(source);
+  while (match) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3]);
+    match = matcher.exec(source);
+  }
+  return attributes;
+}
+
+function findTagEnd(buffer, start) {
+  let quote = null;
+  for (let index = start; index < buffer.length; index += 1) {
+    const char = buffer[index];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ">") {
+      return index;
+    }
+  }
+  return -1;
+}
+
+export function createXmlStream({ onOpen = () => {}, onClose = () => {}, onText = () => {} }) {
+  let buffer = "";
+
+  const process = (final) => {
+    let index = 0;
+    while (index < buffer.length) {
+      const lt = buffer.indexOf("<", index);
+      if (lt === -1) {
+        if (final) {
+          onText(decodeEntities(buffer.slice(index)));
+          index = buffer.length;
+        }
+        break;
+      }
+      if (lt > index) {
+        onText(decodeEntities(buffer.slice(index, lt)));
+        index = lt;
+      }
+      if (!final && buffer.length - lt < 9) break;
+
+      if (buffer.startsWith("<![CDATA[", lt)) {
+        const end = buffer.indexOf("]]>", lt + 9);
+        if (end === -1) break;
+        onText(buffer.slice(lt + 9, end));
+        index = end + 3;
+      } else if (buffer.startsWith("<!--", lt)) {
+        const end = buffer.indexOf("-->", lt + 4);
+        if (end === -1) break;
+        index = end + 3;
+      } else if (buffer.startsWith("<?", lt)) {
+        const end = buffer.indexOf("?>", lt + 2);
+        if (end === -1) break;
+        index = end + 2;
+      } else if (buffer.startsWith("<!", lt)) {
+        const bracket = buffer.indexOf("[", lt);
+        const close = buffer.indexOf(">", lt);
+        if (close === -1) break;
+        const end = bracket !== -1 && bracket < close ? buffer.indexOf("]>", bracket) : close - 1;
+        if (end === -1) break;
+        index = end + 2;
+      } else {
+        const end = findTagEnd(buffer, lt + 1);
+        if (end === -1) break;
+        const source = buffer.slice(lt + 1, end).trim();
+        index = end + 1;
+        if (source.startsWith("/")) {
+          onClose(source.slice(1).trim().toLowerCase());
+        } else if (source) {
+          const selfClosing = source.endsWith("/");
+          const body = selfClosing ? source.slice(0, -1) : source;
+          const name = body.split(/\s/, 1)[0].toLowerCase();
+          onOpen(name, parseAttributes(body.slice(name.length)));
+          if (selfClosing) onClose(name);
+        }
+      }
+    }
+    buffer = buffer.slice(index);
+  };
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      process(false);
+    },
+    end() {
+      process(true);
+      buffer = "";
+    },
+  };
+}
+
+function normalizeName(name) {
+  return name.startsWith("atom:") ? name.slice(5) : name;
+}
+
+function children(node, name) {
+  return node.parts.filter((part) => typeof part !== "string" && part.name === name);
+}
+
+function child(node, ...names) {
+  for (const name of names) {
+    const found = children(node, name)[0];
+    if (found) return found;
+  }
+  return null;
+}
+
+function textOf(node) {
+  if (!node) return "";
+  return node.parts.map((part) => (typeof part === "string" ? part : textOf(part))).join("");
+}
+
+function serialize(node) {
+  return node.parts
+    .map((part) => {
+      if (typeof part === "string") return escapeHtml(part);
+      const attributes = Object.entries(part.attributes)
+        .filter(([key]) => !key.startsWith("xmlns"))
+        .map(([key, value]) => ` ${key}="${escapeHtml(value).replace(/"/g, "&quot;")}"`)
+        .join("");
+      const name = part.name.replace(/^xhtml:/, "");
+      return `<${name}${attributes}>${serialize(part)}</${name}>`;
+    })
+    .join("");
+}
+
+function contentHtml(node, defaultType = "") {
+  if (!node) return "";
+  const type = (node.attributes.type || defaultType).toLowerCase();
+  if (type === "xhtml") {
+    const wrapper = child(node, "div", "xhtml:div");
+    return (wrapper ? serialize(wrapper) : serialize(node)).trim();
+  }
+  const text = textOf(node);
+  if (type === "text" || type === "text/plain" || (!type && !/<[a-z][\s\S]*>/i.test(text))) {
+    return textToHtml(text);
+  }
+  return text.trim();
+}
+
+function mediaType(mimeType, medium) {
+  const kind = (medium || String(mimeType || "").split("/")[0]).toLowerCase();
+  return ["image", "video", "audio"].includes(kind) ? kind : "unknown";
+}
+
+function toMedia({ url, mimeType, medium, previewUrl = null, description = null, width = null, height = null }) {
+  return {
+    id: null,
+    type: mediaType(mimeType, medium),
+    url,
+    preview_url: previewUrl,
+    description,
+    width: width ? Number(width) || null : null,
+    height: height ? Number(height) || null : null,
+  };
+}
+
+function toAuthor(name, url = "") {
+  let value = String(name || "").trim();
+  const email = value.match(/^\S+@\S+\s*\((.+)\)$/);
+  if (email) value = email[1].trim();
+  if (!value && !url) return null;
+  const handle = value.match(/(?:^|\s|\()@([A-Za-z0-9_]+)/)?.[1] || url.match(/\/@([A-Za-z0-9_]+)\/?$/)?.[1] || value;
+  return { id: null, handle, display_name: value, url };
+}
+
+function buildPost({ id, url, timestamp, updated, content, title, author, media, tags }) {
+  if (!timestamp || !(id || url)) return null;
+  const post = {
+    id: String(id || url),
+    timestamp,
+    url: url || "",
+    content: content || textToHtml(title || ""),
+    visibility: "public",
+    in_reply_to_id: null,
+    in_reply_to_account_id: null,
+    reblog: null,
+    quote: null,
+    media: media.filter((attachment) => attachment.url),
+    mentions: [],
+    tags: Array.from(new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))),
+    card: null,
+  };
+  if (author) post.account = author;
+  if (updated && Date.parse(updated) - Date.parse(timestamp) > 60000) post.edited_at = updated;
+  return post;
+}
+
+function rssItem(node, feed) {
+  const guid = child(node, "guid");
+  const link = textOf(child(node, "link")).trim();
+  const guidText = textOf(guid).trim();
+  const permalink = guid && guid.attributes.ispermalink !== "false" && /^https?:/.test(guidText) ? guidText : "";
+  const media = [
+    ...children(node, "enclosure").map((enclosure) =>
+      toMedia({ url: enclosure.attributes.url, mimeType: enclosure.attributes.type })
+    ),
+    ...children(node, "media:content").map((entry) =>
+      toMedia({
+        url: entry.attributes.url,
+        mimeType: entry.attributes.type,
+        medium: entry.attributes.medium,
+        width: entry.attributes.width,
+        height: entry.attributes.height,
+        previewUrl: child(entry, "media:thumbnail")?.attributes.url || null,
+        description: textOf(child(entry, "media:description")).trim() || null,
+      })
+    ),
+  ];
+  const creator = textOf(child(node, "dc:creator", "author")).trim();
+  return buildPost({
+    id: guidText || link,
+    url: link || permalink,
+    timestamp: parseFeedDate(textOf(child(node, "pubdate", "dc:date"))),
+    content: contentHtml(child(node, "content:encoded", "description")),
+    title: textOf(child(node, "title")),
+    author: toAuthor(creator) || feed.author,
+    media,
+    tags: children(node, "category").map((category) => textOf(category)),
+  });
+}
+
+function atomLinks(node) {
+  return children(node, "link").map((link) => ({
+    rel: link.attributes.rel || "alternate",
+    href: link.attributes.href,
+    type: link.attributes.type,
+    length: link.attributes.length,
+  }));
+}
+
+function atomAuthor(node) {
+  const author = child(node, "author");
+  if (!author) return null;
+  return toAuthor(textOf(child(author, "name")) || textOf(author), textOf(child(author, "uri")).trim());
+}
+
+function atomEntry(node, feed) {
+  const links = atomLinks(node);
+  const published = parseFeedDate(textOf(child(node, "published", "issued")));
+  const updated = parseFeedDate(textOf(child(node, "updated", "modified")));
+  return buildPost({
+    id: textOf(child(node, "id")).trim(),
+    url: links.find((link) => link.rel === "alternate")?.href || "",
+    timestamp: published || updated,
+    updated: published ? updated : null,
+    content: contentHtml(child(node, "content"), "text") || contentHtml(child(node, "summary"), "text"),
+    title: textOf(child(node, "title")),
+    author: atomAuthor(node) || feed.author,
+    media: links
+      .filter((link) => link.rel === "enclosure")
+      .map((link) => toMedia({ url: link.href, mimeType: link.type })),
+    tags: children(node, "category").map((category) => category.attributes.term || textOf(category)),
+  });
+}
+
+export function createFeedParser({ onItem = () => {} } = {}) {
+  const feed = { format: null, title: "", link: "", author: null };
+  const items = [];
+  const stack = [];
+
+  const emit = (node) => {
+    const post = node.name === "entry" ? atomEntry(node, feed) : rssItem(node, feed);
+    if (post) {
+      items.push(post);
+      onItem(post);
+    }
+  };
+
+  const xml = createXmlStream({
+    onOpen(rawName, attributes) {
+      const name = normalizeName(rawName);
+      if (!feed.format) {
+        feed.format = name === "feed" ? "atom" : name === "rdf:rdf" ? "rss1" : "rss2";
+      }
+      stack.push({ name, attributes, parts: [] });
+    },
+    onClose(rawName) {
+      const name = normalizeName(rawName);
+      const index = stack.map((node) => node.name).lastIndexOf(name);
+      if (index === -1) return;
+      const [node] = stack.splice(index);
+      const parent = stack[stack.length - 1];
+      if (ITEM_TAGS.has(name)) {
+        emit(node);
+        return;
+      }
+      if (parent && CONTAINER_TAGS.has(parent.name)) {
+        if (name === "title" && !feed.title) feed.title = textOf(node).trim();
+        if (name === "link" && !feed.link && node.attributes.rel !== "self") {
+          feed.link = node.attributes.href || textOf(node).trim();
+        }
+        if (name === "author" || name === "managingeditor" || name === "dc:creator") {
+          feed.author =
+            feed.author || (parent.name === "feed" ? atomAuthor({ parts: [node] }) : toAuthor(textOf(node)));
+        }
+        return;
+      }
+      if (parent) parent.parts.push(node);
+    },
+    onText(text) {
+      const node = stack[stack.length - 1];
+      if (node && !CONTAINER_TAGS.has(node.name)) node.parts.push(text);
+    },
+  });
+
+  return {
+    write(chunk) {
+      xml.write(chunk);
+    },
+    end() {
+      xml.end();
+      return { feed, items };
+    },
+  };
+}
+
+export function parseFeed(text) {
+  const parser = createFeedParser();
+  parser.write(text);
+  return parser.end().items;
+}
+
+export function isJsonFeed(payload) {
+  return Boolean(payload && !Array.isArray(payload) && String(payload.version || "").includes("jsonfeed.org"));
+}
+
+export function parseJsonFeed(payload) {
+  const authorsOf = (entry) => {
+    const authors = entry.authors || (entry.author ? [entry.author] : []);
+    return authors.map((author) => toAuthor(author.name, author.url || "")).find(Boolean) || null;
+  };
+  const feedAuthor = authorsOf(payload);
+  return (Array.isArray(payload.items) ? payload.items : [])
+    .map((entry) => {
+      const published = parseFeedDate(entry.date_published);
+      const modified = parseFeedDate(entry.date_modified);
+      const attachments = Array.isArray(entry.attachments) ? entry.attachments : [];
+      return buildPost({
+        id: entry.id,
+        url: entry.url || entry.external_url || "",
+        timestamp: published || modified,
+        updated: published ? modified : null,
+        content: entry.content_html || textToHtml(entry.content_text || entry.summary || ""),
+        title: entry.title,
+        author: authorsOf(entry) || feedAuthor,
+        media: [
+          ...attachments.map((attachment) =>
+            toMedia({ url: attachment.url, mimeType: attachment.mime_type, description: attachment.title || null })
+          ),
+          ...(entry.image && !attachments.some((attachment) => attachment.url === entry.image)
+            ? [toMedia({ url: entry.image, medium: "image" })]
+            : []),
+        ],
+        tags: Array.isArray(entry.tags) ? entry.tags : [],
+      });
+    })
+    .filter(Boolean);
+}
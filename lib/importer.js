@@ -0,0 +1,219 @@
+import { splitEngagement } from "./engagement.js";
+import { canonicalId, normalizePosts, normalizeStatus } from "./posts.js";
+
+export const IMPORT_FORMATS = ["csv", "json", "ndjson"];
+
+const MAX_REPORTED_ERRORS = 20;
+const LOSSY_FIELDS = ["reblog", "quote", "media"];
+
+const CONTENT_TYPES = {
+  "text/csv": "csv",
+  "application/csv": "csv",
+  "application/json": "json",
+  "application/x-ndjson": "ndjson",
+  "application/ndjson": "ndjson",
+};
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell !== ""));
+}
+
+function splitList(value) {
+  return String(value || "")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function fromExportRecord(record) {
+  const timestamp = Date.parse(record.created_at);
+  if (!record.id || Number.isNaN(timestamp)) return null;
+  const isRetruth = record.is_retruth === true || record.is_retruth === "true";
+  const media = (Array.isArray(record.media_urls) ? record.media_urls : splitList(record.media_urls)).map((url) => ({
+    id: null,
+    type: "unknown",
+    url,
+    preview_url: null,
+    description: null,
+    width: null,
+    height: null,
+  }));
+  const embedded = (reference, extra) => ({
+    id: canonicalId({ id: reference, url: reference }),
+    url: /^https?:/.test(reference) ? reference : "",
+    timestamp: null,
+    account: null,
+    media: [],
+    card: null,
+    ...extra,
+  });
+  return {
+    id: String(record.id),
+    timestamp: new Date(timestamp).toISOString(),
+    url: record.url || "",
+    content: isRetruth ? "" : record.content_html || "",
+    visibility: record.visibility || "public",
+    in_reply_to_id: record.in_reply_to_id ? String(record.in_reply_to_id) : null,
+    reblog: isRetruth
+      ? embedded(record.retruth_of || "", {
+          content: record.content_html || "",
+          account: record.retruth_of_account
+            ? { id: null, handle: record.retruth_of_account, display_name: "", url: "" }
+            : null,
+          media,
+        })
+      : null,
+    quote: record.quote_of ? embedded(record.quote_of, { content: "" }) : null,
+    media: isRetruth ? [] : media,
+    tags: (Array.isArray(record.tags) ? record.tags : splitList(record.tags)).map((tag) => tag.toLowerCase()),
+  };
+}
+
+function fromObject(item) {
+  if (!item || typeof item !== "object") return null;
+  if ("content_html" in item) return { post: fromExportRecord(item), lossy: true };
+  if (item.created_at) return { post: normalizeStatus(item), lossy: false };
+  if (item.id && item.timestamp && !Number.isNaN(Date.parse(item.timestamp))) return { post: item, lossy: false };
+  return null;
+}
+
+export function detectFormat({ format, contentType, fileName, text }) {
+  if (format) return IMPORT_FORMATS.includes(format) ? format : null;
+  const mime = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (CONTENT_TYPES[mime]) return CONTENT_TYPES[mime];
+  const extension = String(fileName || "").split(".").pop().toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("[")) return "json";
+  if (trimmed.startsWith("{")) {
+    try {
+      JSON.parse(trimmed);
+      return "json";
+    } catch (error) {
+      return "ndjson";
+    }
+  }
+  return "csv";
+}
+
+export function parseArchive(text, format) {
+  const entries = [];
+  const errors = [];
+  const add = (line, parsed) => {
+    if (parsed?.post) {
+      entries.push(parsed);
+    } else {
+      errors.push({ line, error: "Not a recognizable status" });
+    }
+  };
+
+  if (format === "csv") {
+    const [header, ...rows] = parseCsv(text);
+    if (!header?.includes("id") || !header.includes("created_at")) {
+      return { error: "CSV archives need at least id and created_at columns" };
+    }
+    rows.forEach((cells, index) => {
+      const record = Object.fromEntries(header.map((column, position) => [column, cells[position] ?? ""]));
+      add(index + 2, fromObject({ content_html: "", ...record }));
+    });
+  } else if (format === "ndjson") {
+    text.split("\n").forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        add(index + 1, fromObject(JSON.parse(line)));
+      } catch (error) {
+        errors.push({ line: index + 1, error: "Invalid JSON" });
+      }
+    });
+  } else if (format === "json") {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+    const items = Array.isArray(payload) ? payload : payload?.posts || payload?.statuses;
+    if (!Array.isArray(items)) {
+      return { error: "JSON archives must be an array of statuses or an object with a posts array" };
+    }
+    items.forEach((item, index) => add(index + 1, fromObject(item)));
+  } else {
+    return { error: `Invalid format: expected one of ${IMPORT_FORMATS.join(", ")}` };
+  }
+  return { entries, errors };
+}
+
+function prepareForExisting(post, existing, lossy) {
+  const prepared = { ...post };
+  if (lossy) {
+    for (const field of LOSSY_FIELDS) {
+      if (existing[field] && (!Array.isArray(existing[field]) || existing[field].length)) delete prepared[field];
+    }
+  }
+  const newerEdit = prepared.edited_at && (!existing.edited_at || prepared.edited_at > existing.edited_at);
+  if (existing.content && !newerEdit) {
+    delete prepared.content;
+    delete prepared.edited_at;
+  }
+  return prepared;
+}
+
+export async function importArchive(store, text, { format, contentType, fileName } = {}) {
+  const detected = detectFormat({ format, contentType, fileName, text });
+  if (!detected) {
+    return { error: `Invalid format: expected one of ${IMPORT_FORMATS.join(", ")}` };
+  }
+  const parsed = parseArchive(text, detected);
+  if (parsed.error) return { error: parsed.error };
+
+  const lossyIds = new Set(parsed.entries.filter((entry) => entry.lossy).map((entry) => canonicalId(entry.post)));
+  const { posts } = splitEngagement(parsed.entries.map((entry) => entry.post));
+  const merged = normalizePosts(posts).map((post) => {
+    const existing = store.get(post.id);
+    return existing ? prepareForExisting(post, existing, lossyIds.has(post.id)) : post;
+  });
+  const { inserted, updated, edited } = await store.upsert(merged);
+  return {
+    format: detected,
+    received: parsed.entries.length + parsed.errors.length,
+    inserted: inserted.length,
+    updated: updated.length,
+    skipped: parsed.entries.length - inserted.length - updated.length + parsed.errors.length,
+    invalid: parsed.errors.length,
+    errors: parsed.errors.slice(0, MAX_REPORTED_ERRORS),
+    changed: { inserted, updated, edited },
+  };
+}
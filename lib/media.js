@@ -0,0 +1,318 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+const INDEX_VERSION = 1;
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+const RETRY_BASE_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const SAVE_DELAY_MS = 5000;
+const FALLBACK_TYPES = /^(image\/(?!svg)[a-z0-9.+-]+|video\/[a-z0-9.+-]+|audio\/[a-z0-9.+-]+)$/;
+
+export function parseBytes(value) {
+  const match = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/);
+  if (!match) return null;
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2] || "b"]);
+}
+
+export function isMediaHash(value) {
+  return HASH_PATTERN.test(value);
+}
+
+export function mediaSources(post) {
+  const sources = [];
+  const add = (kind, url) => {
+    if (!url || !/^https?:\/\//i.test(url) || sources.some((source) => source.url === url)) return;
+    sources.push({ kind, url });
+  };
+  for (const item of [...(post.media || []), ...(post.reblog?.media || []), ...(post.quote?.media || [])]) {
+    add("attachment", item.url);
+    add("preview", item.preview_url);
+  }
+  add("card", post.card?.image);
+  add("card", post.reblog?.card?.image);
+  return sources;
+}
+
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpSize(buffer) {
+  const chunk = buffer.toString("ascii", 12, 16);
+  if (chunk === "VP8 " && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L" && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function mp4Size(buffer) {
+  for (let index = buffer.indexOf("tkhd"); index !== -1; index = buffer.indexOf("tkhd", index + 4)) {
+    const version = buffer[index + 4];
+    const offset = index + 8 + (version === 1 ? 32 : 20) + 52;
+    if (offset + 8 > buffer.length) break;
+    const width = buffer.readUInt32BE(offset) >>> 16;
+    const height = buffer.readUInt32BE(offset + 4) >>> 16;
+    if (width && height) return { width, height };
+  }
+  return null;
+}
+
+export function probeMedia(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { mime: "image/png", width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { mime: "image/jpeg", ...(jpegSize(buffer) || { width: null, height: null }) };
+  }
+  if (buffer.length >= 10 && buffer.toString("ascii", 0, 4) === "GIF8") {
+    return { mime: "image/gif", width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 16 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return { mime: "image/webp", ...(webpSize(buffer) || { width: null, height: null }) };
+  }
+  if (buffer.length >= 12 && buffer.toString("ascii", 4, 8) === "ftyp") {
+    const mime = buffer.toString("ascii", 8, 12) === "qt  " ? "video/quicktime" : "video/mp4";
+    return { mime, ...(mp4Size(buffer) || { width: null, height: null }) };
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return { mime: "video/webm", width: null, height: null };
+  }
+  return null;
+}
+
+async function download(url, { headers, timeoutMs, maxFileBytes }) {
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    throw new Error(`Media request failed: ${response.status}`);
+  }
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > maxFileBytes) {
+    throw new Error(`Media is ${declared} bytes, above the ${maxFileBytes} byte limit`);
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxFileBytes) {
+      throw new Error(`Media exceeds the ${maxFileBytes} byte limit`);
+    }
+    chunks.push(chunk);
+  }
+  return { buffer: Buffer.concat(chunks), contentType: (response.headers.get("content-type") || "").split(";")[0] };
+}
+
+export function createMediaArchive({
+  dir,
+  quotaBytes = 0,
+  maxFileBytes = 100 * 1024 ** 2,
+  timeoutMs = 30000,
+  headers = {},
+}) {
+  const indexPath = path.join(dir, "index.json");
+  const objects = new Map();
+  const urls = new Map();
+  const failures = new Map();
+  let totalBytes = 0;
+  let evicted = 0;
+  let saveTimer = null;
+  let queue = Promise.resolve();
+  let downloads = Promise.resolve();
+
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const objectPath = (hash) => path.join(dir, "objects", hash.slice(0, 2), hash);
+
+  const save = () =>
+    enqueue(async () => {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      const index = {
+        version: INDEX_VERSION,
+        objects: Array.from(objects.values()),
+        urls: Object.fromEntries(urls),
+      };
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(index));
+      await fs.rename(`${indexPath}.tmp`, indexPath);
+    });
+
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      save().catch((error) => console.error(`Failed to save media index: ${error.message}`));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  };
+
+  const evict = async (keep) => {
+    if (!quotaBytes || totalBytes <= quotaBytes) return;
+    const candidates = Array.from(objects.values())
+      .filter((object) => object.hash !== keep)
+      .sort((a, b) => Date.parse(a.lastAccessAt) - Date.parse(b.lastAccessAt));
+    for (const object of candidates) {
+      if (totalBytes <= quotaBytes) break;
+      await fs.rm(objectPath(object.hash), { force: true });
+      objects.delete(object.hash);
+      totalBytes -= object.bytes;
+      evicted += 1;
+      for (const [url, hash] of urls) {
+        if (hash === object.hash) urls.delete(url);
+      }
+    }
+  };
+
+  const store = async (url) => {
+    const { buffer, contentType } = await download(url, { headers, timeoutMs, maxFileBytes });
+    const probed = probeMedia(buffer);
+    if (!probed && !FALLBACK_TYPES.test(contentType)) {
+      throw new Error(`Unsupported media type: ${contentType || "unknown"}`);
+    }
+    if (quotaBytes && buffer.length > quotaBytes) {
+      throw new Error(`Media is ${buffer.length} bytes, above the ${quotaBytes} byte quota`);
+    }
+    const hash = createHash("sha256").update(buffer).digest("hex");
+    const now = new Date().toISOString();
+    urls.set(url, hash);
+    const existing = objects.get(hash);
+    if (existing) {
+      existing.lastAccessAt = now;
+      return { url, outcome: "deduplicated", hash };
+    }
+    const filePath = objectPath(hash);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, buffer);
+    await fs.rename(`${filePath}.tmp`, filePath);
+    objects.set(hash, {
+      hash,
+      mime: probed?.mime || contentType,
+      bytes: buffer.length,
+      width: probed?.width ?? null,
+      height: probed?.height ?? null,
+      source: url,
+      storedAt: now,
+      lastAccessAt: now,
+    });
+    totalBytes += buffer.length;
+    await evict(hash);
+    return { url, outcome: "stored", hash };
+  };
+
+  const archive = async (url) => {
+    const known = urls.get(url);
+    if (known && objects.has(known)) return { url, outcome: "cached", hash: known };
+    const failure = failures.get(url);
+    if (failure && Date.now() < failure.retryAt) return { url, outcome: "skipped", error: failure.error };
+    try {
+      const result = await store(url);
+      failures.delete(url);
+      return result;
+    } catch (error) {
+      const attempts = (failure?.attempts || 0) + 1;
+      const retryAt = attempts >= MAX_ATTEMPTS ? Infinity : Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1);
+      failures.set(url, { attempts, retryAt, error: error.message });
+      return { url, outcome: "failed", error: error.message };
+    }
+  };
+
+  const describeObject = (hash) => {
+    const object = hash ? objects.get(hash) : null;
+    if (!object) return { hash: null, href: null, mime: null, bytes: null, width: null, height: null };
+    const { mime, bytes, width, height } = object;
+    return { hash, href: `/media/${hash}`, mime, bytes, width, height };
+  };
+
+  return {
+    async load() {
+      let index;
+      try {
+        index = JSON.parse(await fs.readFile(indexPath, "utf-8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return;
+        throw error;
+      }
+      if (index.version !== INDEX_VERSION) {
+        throw new Error(`Unsupported media index version in ${indexPath}`);
+      }
+      for (const object of index.objects || []) {
+        objects.set(object.hash, object);
+        totalBytes += object.bytes;
+      }
+      for (const [url, hash] of Object.entries(index.urls || {})) {
+        if (objects.has(hash)) urls.set(url, hash);
+      }
+      if (quotaBytes && totalBytes > quotaBytes) {
+        await evict(null);
+        await save();
+      }
+    },
+
+    archivePost(post) {
+      const run = downloads.then(async () => {
+        const results = [];
+        for (const { kind, url } of mediaSources(post)) {
+          results.push({ kind, ...(await archive(url)) });
+        }
+        if (results.some(({ outcome }) => outcome === "stored" || outcome === "deduplicated")) {
+          await save();
+        }
+        return results;
+      });
+      downloads = run.catch(() => {});
+      return run;
+    },
+
+    describe(post) {
+      return mediaSources(post).map(({ kind, url }) => ({ kind, url, ...describeObject(urls.get(url)) }));
+    },
+
+    open(hash) {
+      const object = objects.get(hash);
+      if (!object) return null;
+      object.lastAccessAt = new Date().toISOString();
+      scheduleSave();
+      return { ...object, path: objectPath(hash) };
+    },
+
+    usage() {
+      return { objects: objects.size, bytes: totalBytes, quotaBytes, evicted, failing: failures.size };
+    },
+
+    close() {
+      return saveTimer ? save() : enqueue(async () => {});
+    },
+  };
+}
@@ -0,0 +1,101 @@
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function createMetrics() {
+  const families = [];
+
+  const register = (family) => {
+    families.push(family);
+    return family;
+  };
+
+  return {
+    counter(name, help) {
+      const series = new Map();
+      register({
+        name,
+        help,
+        type: "counter",
+        lines: () =>
+          Array.from(series.values(), ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`),
+      });
+      return {
+        inc(labels = {}, value = 1) {
+          const key = labelKey(labels);
+          const entry = series.get(key) || { labels, value: 0 };
+          entry.value += value;
+          series.set(key, entry);
+        },
+      };
+    },
+
+    gauge(name, help, collect) {
+      register({
+        name,
+        help,
+        type: "gauge",
+        lines: () =>
+          collect()
+            .filter(({ value }) => value !== null && value !== undefined)
+            .map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`),
+      });
+    },
+
+    histogram(name, help, buckets = DURATION_BUCKETS) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+      register({
+        name,
+        help,
+        type: "histogram",
+        lines: () =>
+          Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+            ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${name}_count${formatLabels(labels)} ${count}`,
+          ]),
+      });
+      return {
+        observe(labels, value) {
+          const key = labelKey(labels);
+          let entry = series.get(key);
+          if (!entry) {
+            entry = { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+            series.set(key, entry);
+          }
+          bounds.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+          });
+          entry.sum += value;
+          entry.count += 1;
+        },
+      };
+    },
+
+    render() {
+      return `${families
+        .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join("\n"))
+        .join("\n")}\n`;
+    },
+  };
+}
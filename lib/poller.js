@@ -0,0 +1,137 @@
+const DEFAULT_MAX_BACKOFF_MS = 15 * 60 * 1000;
+const SUCCESS_JITTER = 0.1;
+
+export function backoffDelay(
+  intervalMs,
+  failures,
+  { maxBackoffMs = DEFAULT_MAX_BACKOFF_MS, random = Math.random } = {}
+) {
+  if (failures <= 0) {
+    return Math.round(intervalMs * (1 - SUCCESS_JITTER + random() * SUCCESS_JITTER * 2));
+  }
+  const ceiling = Math.min(maxBackoffMs, intervalMs * 2 ** (failures - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+export function createPoller({
+  intervalMs,
+  run,
+  onSettled = () => {},
+  maxBackoffMs = DEFAULT_MAX_BACKOFF_MS,
+  random = Math.random,
+}) {
+  const status = {
+    running: false,
+    paused: false,
+    intervalMs,
+    lastStartedAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    lastDurationMs: null,
+    upstreamLatencyMs: null,
+    nextPollAt: null,
+    overlappingPolls: 0,
+    polls: 0,
+  };
+  let timer = null;
+  let current = null;
+  let stopped = true;
+
+  const schedule = (delayMs) => {
+    clearTimeout(timer);
+    if (stopped) return;
+    status.nextPollAt = new Date(Date.now() + delayMs).toISOString();
+    timer = setTimeout(tick, delayMs);
+  };
+
+  const execute = async () => {
+    const startedAt = Date.now();
+    status.running = true;
+    status.lastStartedAt = new Date(startedAt).toISOString();
+    status.polls += 1;
+    let delayMs;
+    try {
+      const result = await run({ poll: status.polls });
+      status.lastSuccessAt = new Date().toISOString();
+      status.consecutiveFailures = 0;
+      if (result?.latencyMs != null) status.upstreamLatencyMs = result.latencyMs;
+      delayMs = backoffDelay(status.intervalMs, 0, { random });
+    } catch (error) {
+      status.consecutiveFailures += 1;
+      status.lastError = {
+        message: error.message,
+        status: error.status ?? null,
+        at: new Date().toISOString(),
+      };
+      delayMs = Math.max(
+        backoffDelay(status.intervalMs, status.consecutiveFailures, { maxBackoffMs, random }),
+        error.retryAfterMs ?? 0
+      );
+    } finally {
+      status.running = false;
+      status.lastDurationMs = Date.now() - startedAt;
+      current = null;
+    }
+    schedule(delayMs);
+    onSettled(status);
+    return status;
+  };
+
+  function tick() {
+    trigger();
+  }
+
+  function trigger() {
+    if (current) {
+      status.overlappingPolls += 1;
+      return current;
+    }
+    clearTimeout(timer);
+    current = execute();
+    return current;
+  }
+
+  return {
+    status,
+    trigger,
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      trigger();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      status.nextPollAt = null;
+    },
+    pause() {
+      status.paused = true;
+      this.stop();
+    },
+    resume() {
+      status.paused = false;
+      this.start();
+    },
+    setIntervalMs(value) {
+      status.intervalMs = value;
+      if (!stopped && !current && !status.consecutiveFailures) schedule(backoffDelay(value, 0, { random }));
+    },
+  };
+}
+
+export function describeHealth(status, { staleAfterMs, now = Date.now() }) {
+  const lastSuccess = status.lastSuccessAt ? Date.parse(status.lastSuccessAt) : null;
+  let state = "ok";
+  if (status.paused) {
+    state = "paused";
+  } else if (lastSuccess === null) {
+    state = status.consecutiveFailures ? "stale" : "starting";
+  } else if (now - lastSuccess > staleAfterMs) {
+    state = "stale";
+  } else if (status.consecutiveFailures) {
+    state = "degraded";
+  }
+  const { running, polls, ...rest } = status;
+  return { status: state, stale: state === "stale", staleAfterMs, polling: running, ...rest };
+}
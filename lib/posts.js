@@ -0,0 +1,194 @@
+function extractNumericId(value) {
+  if (!value) return "";
+  const match = String(value).match(/\/(\d{10,})(?=[/?#]|$)/);
+  return match ? match[1] : "";
+}
+
+export function canonicalId(post) {
+  if (!post) return "";
+  const direct = post.id ? String(post.id) : "";
+  if (direct && /^\d+$/.test(direct)) return direct;
+  const fromDirect = extractNumericId(direct);
+  if (fromDirect) return fromDirect;
+  const fromUrl = extractNumericId(post.url || post.uri);
+  if (fromUrl) return fromUrl;
+  return direct || String(post.url || post.uri || "");
+}
+
+const STATUS_FIELDS = [
+  "visibility",
+  "in_reply_to_id",
+  "in_reply_to_account_id",
+  "reblog",
+  "quote",
+  "media",
+  "mentions",
+  "tags",
+  "card",
+  "account",
+];
+
+function toIso(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function normalizeAccountRef(account) {
+  if (!account) return null;
+  return {
+    id: account.id ? String(account.id) : null,
+    handle: account.acct || account.username || "",
+    display_name: account.display_name || "",
+    url: account.url || "",
+  };
+}
+
+function normalizeMedia(attachments) {
+  if (!Array.isArray(attachments)) return [];
+  return attachments
+    .filter((attachment) => attachment?.url || attachment?.remote_url)
+    .map((attachment) => ({
+      id: attachment.id ? String(attachment.id) : null,
+      type: attachment.type || "unknown",
+      url: attachment.url || attachment.remote_url,
+      preview_url: attachment.preview_url || null,
+      description: attachment.description || null,
+      width: attachment.meta?.original?.width ?? null,
+      height: attachment.meta?.original?.height ?? null,
+    }));
+}
+
+function normalizeCard(card) {
+  if (!card?.url) return null;
+  return {
+    url: card.url,
+    title: card.title || "",
+    description: card.description || "",
+    image: card.image || null,
+    provider: card.provider_name || "",
+  };
+}
+
+function normalizeEmbedded(status) {
+  if (!status?.id) return null;
+  return {
+    id: String(status.id),
+    url: status.url || status.uri || "",
+    timestamp: toIso(status.created_at),
+    content: status.content || "",
+    account: normalizeAccountRef(status.account),
+    media: normalizeMedia(status.media_attachments),
+    card: normalizeCard(status.card),
+  };
+}
+
+export function normalizeStatus(item) {
+  const timestamp = toIso(item?.created_at);
+  const id = item?.id || item?.url || item?.uri;
+  if (!timestamp || !id) return null;
+  const post = {
+    id: String(id),
+    timestamp,
+    url: item.url || item.uri || "",
+    content: item.content || "",
+    visibility: item.visibility || "public",
+    in_reply_to_id: item.in_reply_to_id ? String(item.in_reply_to_id) : null,
+    in_reply_to_account_id: item.in_reply_to_account_id ? String(item.in_reply_to_account_id) : null,
+    reblog: normalizeEmbedded(item.reblog),
+    quote: normalizeEmbedded(item.quote),
+    media: normalizeMedia(item.media_attachments),
+    mentions: Array.isArray(item.mentions)
+      ? item.mentions.map((mention) => ({
+          id: mention.id ? String(mention.id) : null,
+          handle: mention.acct || mention.username || "",
+          url: mention.url || "",
+        }))
+      : [],
+    tags: Array.isArray(item.tags) ? item.tags.map((tag) => String(tag.name || tag).toLowerCase()) : [],
+    card: normalizeCard(item.card),
+  };
+  if (item.edited_at) post.edited_at = item.edited_at;
+  if (["replies_count", "reblogs_count", "favourites_count"].some((key) => item[key] !== undefined)) {
+    post.engagement = {
+      replies: Number(item.replies_count) || 0,
+      reblogs: Number(item.reblogs_count) || 0,
+      favourites: Number(item.favourites_count) || 0,
+    };
+  }
+  return post;
+}
+
+export function parseStatusList(payload) {
+  if (!Array.isArray(payload)) return [];
+  return payload.map(normalizeStatus).filter(Boolean);
+}
+
+export function mergePost(existing, incoming) {
+  const merged = { ...existing };
+  const existingTime = Date.parse(existing.timestamp);
+  const incomingTime = Date.parse(incoming.timestamp);
+  if (!Number.isNaN(incomingTime) && (Number.isNaN(existingTime) || incomingTime > existingTime)) {
+    merged.timestamp = incoming.timestamp;
+  }
+  if (!merged.url && incoming.url) merged.url = incoming.url;
+  if (!merged.uri && incoming.uri) merged.uri = incoming.uri;
+  for (const field of STATUS_FIELDS) {
+    if (incoming[field] !== undefined) merged[field] = incoming[field];
+  }
+  if (incoming.content && incoming.content !== merged.content) {
+    if (merged.content) {
+      merged.edited_at = incoming.edited_at || new Date().toISOString();
+    }
+    merged.content = incoming.content;
+  }
+  return merged;
+}
+
+export function normalizePosts(posts) {
+  const byId = new Map();
+  for (const post of posts) {
+    const id = canonicalId(post);
+    if (!id) continue;
+    const normalized = { ...post, id };
+    const existing = byId.get(id);
+    byId.set(id, existing ? mergePost(existing, normalized) : normalized);
+  }
+  return Array.from(byId.values()).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+export function toHourKey(timestamp) {
+  const date = new Date(timestamp);
+  date.setUTCMinutes(0, 0, 0);
+  return date.toISOString();
+}
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+export function decodeEntities(text) {
+  if (!text) return "";
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1] === "x" || entity[1] === "X"
+          ? Number.parseInt(entity.slice(2), 16)
+          : Number.parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) || code > 0x10ffff ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+export function stripHtml(html) {
+  if (!html) return "";
+  return decodeEntities(html.replace(/<br\s*\/?>|<\/p>/gi, " ").replace(/<[^>]*>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
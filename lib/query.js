@@ -0,0 +1,166 @@
+import { stripHtml } from "./posts.js";
+
+const MAX_LIMIT = 1000;
+const BOOLEAN_VALUES = { 1: true, true: true, yes: true, 0: false, false: false, no: false };
+
+const searchText = new WeakMap();
+
+function textOf(post) {
+  let text = searchText.get(post);
+  if (text === undefined) {
+    text = stripHtml(`${post.content || ""} ${post.reblog?.content || ""} ${post.quote?.content || ""}`).toLowerCase();
+    searchText.set(post, text);
+  }
+  return text;
+}
+
+export function hasMedia(post) {
+  return Boolean(post.media?.length || post.reblog?.media?.length);
+}
+
+export function isRetruth(post) {
+  return Boolean(post.reblog);
+}
+
+export function isEdited(post) {
+  return Boolean(post.edited_at);
+}
+
+function encodeCursor(post, order, direction) {
+  const payload = { t: Date.parse(post.timestamp), id: post.id, o: order, d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(value) {
+  try {
+    const payload = JSON.parse(Buffer.from(value, "base64url").toString("utf-8"));
+    if (!Number.isFinite(payload.t) || typeof payload.id !== "string") return null;
+    if (!["asc", "desc"].includes(payload.o) || !["next", "prev"].includes(payload.d)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseTimestamp(value, name) {
+  if (value === undefined || value === "") return { value: undefined };
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return { error: `Invalid ${name}: expected an ISO 8601 timestamp` };
+  return { value: new Date(time).toISOString() };
+}
+
+function parseBoolean(value, name) {
+  if (value === undefined || value === "") return { value: undefined };
+  const parsed = BOOLEAN_VALUES[String(value).toLowerCase()];
+  if (parsed === undefined) return { error: `Invalid ${name}: expected true or false` };
+  return { value: parsed };
+}
+
+export function parsePostQuery(query) {
+  const since = parseTimestamp(query.since, "since");
+  const until = parseTimestamp(query.until, "until");
+  const media = parseBoolean(query.has_media, "has_media");
+  const retruth = parseBoolean(query.is_retruth, "is_retruth");
+  const edited = parseBoolean(query.is_edited, "is_edited");
+  const excludeRetruths = parseBoolean(query.exclude_retruths, "exclude_retruths");
+  const failed = [since, until, media, retruth, edited, excludeRetruths].find((result) => result.error);
+  if (failed) return { error: failed.error };
+
+  let limit;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = Number.parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit <= 0) {
+      return { error: "Invalid limit: expected a positive integer" };
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let cursor;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  const order = cursor?.o || query.order || "asc";
+  if (!["asc", "desc"].includes(order)) {
+    return { error: "Invalid order: expected asc or desc" };
+  }
+
+  const terms = String(query.q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return {
+    options: {
+      since: since.value,
+      until: until.value,
+      limit: limit ?? (cursor ? MAX_LIMIT : undefined),
+      cursor,
+      order,
+      terms,
+      hasMedia: media.value,
+      isRetruth: excludeRetruths.value ? false : retruth.value,
+      isEdited: edited.value,
+    },
+  };
+}
+
+function matchesFilters(post, options) {
+  if (options.excludeDeleted && post.deleted_at) return false;
+  if (options.hasMedia !== undefined && hasMedia(post) !== options.hasMedia) return false;
+  if (options.isRetruth !== undefined && isRetruth(post) !== options.isRetruth) return false;
+  if (options.isEdited !== undefined && isEdited(post) !== options.isEdited) return false;
+  if (options.terms.length) {
+    const text = textOf(post);
+    return options.terms.every((term) => text.includes(term));
+  }
+  return true;
+}
+
+export function queryPosts(store, options) {
+  const { cursor, limit, order } = options;
+  const backwards = cursor?.d === "prev";
+  const scanOrder = backwards ? (order === "asc" ? "desc" : "asc") : order;
+  const posts = [];
+  const scan = store.scan({
+    since: options.since,
+    until: options.until,
+    order: scanOrder,
+    after: cursor ? { time: cursor.t, id: cursor.id } : undefined,
+  });
+  for (const post of scan) {
+    if (!matchesFilters(post, options)) continue;
+    posts.push(post);
+    if (limit && posts.length > limit) break;
+  }
+
+  const hasMore = Boolean(limit) && posts.length > limit;
+  if (hasMore) posts.pop();
+  if (backwards) posts.reverse();
+
+  const first = posts[0];
+  const last = posts[posts.length - 1];
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+  return {
+    posts,
+    nextCursor: limit && hasNext && last ? encodeCursor(last, order, "next") : null,
+    prevCursor: limit && hasPrev && first ? encodeCursor(first, order, "prev") : null,
+  };
+}
+
+export function buildLinkHeader(baseUrl, query, { nextCursor, prevCursor }) {
+  const links = [];
+  for (const [rel, cursor] of [
+    ["next", nextCursor],
+    ["prev", prevCursor],
+  ]) {
+    if (!cursor) continue;
+    const params = new URLSearchParams(query);
+    params.delete("order");
+    params.set("cursor", cursor);
+    links.push(`<${baseUrl}?${params}>; rel="${rel}"`);
+  }
+  return links.join(", ");
+}
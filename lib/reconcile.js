@@ -0,0 +1,30 @@
+import { canonicalId } from "./posts.js";
+
+export function createDeletionTracker({ confirmations = 2 } = {}) {
+  let misses = new Map();
+
+  return {
+    reconcile(store, incoming) {
+      if (!incoming.length) return { deleted: [], restored: [] };
+      const seen = new Set(incoming.map(canonicalId));
+      const windowStart = Math.min(...incoming.map((post) => Date.parse(post.timestamp)));
+      if (Number.isNaN(windowStart)) return { deleted: [], restored: [] };
+
+      const deleted = [];
+      const nextMisses = new Map();
+      for (const post of store.scan({ since: new Date(windowStart).toISOString() })) {
+        if (seen.has(post.id) || post.deleted_at) continue;
+        const count = (misses.get(post.id) || 0) + 1;
+        if (count >= confirmations) {
+          deleted.push(post.id);
+        } else {
+          nextMisses.set(post.id, count);
+        }
+      }
+      misses = nextMisses;
+
+      const restored = Array.from(seen).filter((id) => store.get(id)?.deleted_at);
+      return { deleted, restored };
+    },
+  };
+}
@@ -0,0 +1,38 @@
+export function createReplayClock({ start, speed = 1, now = Date.now }) {
+  const startMs = typeof start === "number" ? start : Date.parse(start);
+  if (Number.isNaN(startMs)) {
+    throw new Error(`Invalid replay start: ${start}`);
+  }
+  if (!Number.isFinite(speed) || speed < 0) {
+    throw new Error(`Invalid replay speed: ${speed}`);
+  }
+  const realStart = now();
+  const scale = speed || 1;
+  let advancedMs = 0;
+
+  return {
+    speed,
+
+    recordedNow() {
+      return startMs + (now() - realStart) * speed + advancedMs;
+    },
+
+    toServed(recordedMs) {
+      return realStart + (recordedMs - startMs) / scale;
+    },
+
+    advance(ms) {
+      advancedMs += ms;
+      return this.recordedNow();
+    },
+
+    describe() {
+      return {
+        speed,
+        recordedNow: new Date(this.recordedNow()).toISOString(),
+        servedNow: new Date(now()).toISOString(),
+        advancedMs,
+      };
+    },
+  };
+}
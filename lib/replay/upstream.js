@@ -0,0 +1,310 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import express from "express";
+import { parseDuration } from "../engagement.js";
+import { stripHtml } from "../posts.js";
+import { escapeXml } from "../syndication.js";
+
+export const FAULT_KINDS = ["429", "5xx", "challenge", "malformed"];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 40;
+const RSS_ITEMS = 50;
+const ENGAGEMENT_RAMP_MS = 6 * 3600000;
+const SERVER_ERRORS = [
+  [500, "Internal Server Error"],
+  [502, "Bad Gateway"],
+  [503, "Service Unavailable"],
+];
+const CHALLENGE_PAGE = `<!DOCTYPE html>
+<html lang="en-US">
+  <head><title>Just a moment...</title></head>
+  <body>
+    <h1>truthsocial.com</h1>
+    <p>Verifying you are human. This may take a few seconds.</p>
+    <noscript>Enable JavaScript and cookies to continue</noscript>
+  </body>
+</html>
+`;
+
+function compareIds(a, b) {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left === right ? 0 : left < right ? -1 : 1;
+}
+
+export async function loadRecording(filePath) {
+  const recording = JSON.parse(await fs.readFile(filePath, "utf-8"));
+  if (!recording.account?.id || !Array.isArray(recording.statuses)) {
+    throw new Error(`Invalid recording ${filePath}: expected an account and a statuses array`);
+  }
+  return {
+    recordedFrom: recording.recordedFrom || recording.statuses[recording.statuses.length - 1]?.created_at,
+    recordedUntil: recording.recordedUntil || recording.statuses[0]?.created_at,
+    account: recording.account,
+    statuses: [...recording.statuses].sort((a, b) => compareIds(b.id, a.id)),
+    edits: [...(recording.edits || [])].sort((a, b) => Date.parse(a.at) - Date.parse(b.at)),
+    deletions: recording.deletions || [],
+  };
+}
+
+export function parseFaults(value) {
+  const rates = {};
+  const entries = String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  for (const entry of entries) {
+    const [kind, rate] = entry.split(":").map((part) => part.trim());
+    const probability = Number(rate);
+    if (!FAULT_KINDS.includes(kind)) {
+      throw new Error(`Invalid fault kind: ${kind}: expected one of ${FAULT_KINDS.join(", ")}`);
+    }
+    if (!Number.isFinite(probability) || probability < 0 || probability > 1) {
+      throw new Error(`Invalid fault rate for ${kind}: expected a number between 0 and 1`);
+    }
+    rates[kind] = probability;
+  }
+  return rates;
+}
+
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function rampCount(count, ageMs) {
+  if (typeof count !== "number") return count;
+  return Math.round(count * Math.min(1, Math.max(0, ageMs) / ENGAGEMENT_RAMP_MS));
+}
+
+export function visibleStatuses(recording, clock) {
+  const now = clock.recordedNow();
+  const served = (timestamp) => new Date(clock.toServed(Date.parse(timestamp))).toISOString();
+  const deleted = new Set(recording.deletions.filter(({ at }) => Date.parse(at) <= now).map(({ id }) => id));
+  const edits = new Map(recording.edits.filter(({ at }) => Date.parse(at) <= now).map((edit) => [edit.id, edit]));
+  return recording.statuses
+    .filter((status) => Date.parse(status.created_at) <= now && !deleted.has(status.id))
+    .map((status) => {
+      const ageMs = now - Date.parse(status.created_at);
+      const edit = edits.get(status.id);
+      return {
+        ...status,
+        created_at: served(status.created_at),
+        content: edit ? edit.content : status.content,
+        edited_at: edit ? served(edit.at) : null,
+        replies_count: rampCount(status.replies_count, ageMs),
+        reblogs_count: rampCount(status.reblogs_count, ageMs),
+        favourites_count: rampCount(status.favourites_count, ageMs),
+        reblog: status.reblog ? { ...status.reblog, created_at: served(status.reblog.created_at) } : null,
+      };
+    });
+}
+
+function pageStatuses(statuses, query) {
+  const requested = Number.parseInt(query.limit || String(DEFAULT_PAGE_SIZE), 10) || DEFAULT_PAGE_SIZE;
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, requested));
+  let candidates = query.exclude_replies === "true" ? statuses.filter((status) => !status.in_reply_to_id) : statuses;
+  if (query.max_id) candidates = candidates.filter((status) => compareIds(status.id, query.max_id) < 0);
+  if (query.min_id) {
+    return candidates.filter((status) => compareIds(status.id, query.min_id) > 0).slice(-limit);
+  }
+  if (query.since_id) candidates = candidates.filter((status) => compareIds(status.id, query.since_id) > 0);
+  return candidates.slice(0, limit);
+}
+
+function pageLinks(request, page) {
+  if (!page.length) return null;
+  const link = (params) => {
+    const url = new URL(`${request.protocol}://${request.get("host")}${request.originalUrl}`);
+    for (const key of ["max_id", "min_id", "since_id"]) url.searchParams.delete(key);
+    for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+    return url.toString();
+  };
+  return [
+    `<${link({ max_id: page[page.length - 1].id })}>; rel="next"`,
+    `<${link({ min_id: page[0].id })}>; rel="prev"`,
+  ].join(", ");
+}
+
+function cdata(html) {
+  return `<![CDATA[${String(html).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+export function renderRss(recording, statuses, { baseUrl }) {
+  const { account } = recording;
+  const items = statuses
+    .filter((status) => !status.in_reply_to_id)
+    .slice(0, RSS_ITEMS)
+    .map((status) => {
+      const source = status.reblog || status;
+      const text = stripHtml(source.content);
+      const title = status.reblog ? `RT @${status.reblog.account.acct}: ${text}` : text;
+      const media = source.media_attachments || [];
+      return [
+        "    <item>",
+        `      <title>${escapeXml(title.slice(0, 120) || "Post")}</title>`,
+        `      <link>${escapeXml(status.url)}</link>`,
+        `      <guid isPermaLink="false">${status.id}</guid>`,
+        `      <pubDate>${new Date(status.created_at).toUTCString()}</pubDate>`,
+        `      <description>${cdata(source.content)}</description>`,
+        ...(source.tags || []).map((tag) => `      <category>${escapeXml(tag.name)}</category>`),
+        ...media.map((item) => {
+          const type = item.type === "video" ? "video/mp4" : "image/jpeg";
+          return `      <enclosure url="${escapeXml(item.url)}" type="${type}"/>`;
+        }),
+        "    </item>",
+      ].join("\n");
+    });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(`${account.display_name} (@${account.acct}) - Truth Social`)}</title>`,
+    `    <atom:link href="${escapeXml(`${baseUrl}/@${account.acct}.rss`)}" rel="self" type="application/rss+xml"/>`,
+    `    <link>${escapeXml(account.url)}</link>`,
+    `    <description>Public posts from @${escapeXml(account.acct)}</description>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+export function createMockUpstream({
+  recording,
+  clock,
+  faults = {},
+  seed = 1,
+  retryAfterSeconds = 30,
+  feedsDir,
+  log = () => {},
+}) {
+  const random = createRandom(seed);
+  const state = { requests: 0, rates: { ...faults }, queue: [], injected: {} };
+  const app = express();
+
+  const pickFault = () => {
+    if (state.queue.length) return state.queue.shift();
+    const roll = random();
+    let threshold = 0;
+    for (const kind of FAULT_KINDS) {
+      threshold += state.rates[kind] || 0;
+      if (roll < threshold) return kind;
+    }
+    return null;
+  };
+
+  const send = (request, response, type, body) => {
+    const etag = `W/"${createHash("sha1").update(body).digest("hex").slice(0, 16)}"`;
+    response.set({ "Content-Type": type, ETag: etag });
+    if (response.locals.fault === "malformed") {
+      response.send(body.slice(0, Math.floor(body.length / 2)));
+      return;
+    }
+    if (request.get("if-none-match") === etag) {
+      response.status(304).end();
+      return;
+    }
+    response.send(body);
+  };
+
+  app.get("/__mock/state", (_request, response) => {
+    response.json({
+      account: recording.account.acct,
+      clock: clock.describe(),
+      visible: visibleStatuses(recording, clock).length,
+      statuses: recording.statuses.length,
+      requests: state.requests,
+      faults: { rates: state.rates, queue: state.queue, injected: state.injected },
+    });
+  });
+
+  app.post("/__mock/clock", (request, response) => {
+    const advanceMs = parseDuration(String(request.query.advance || ""));
+    if (!advanceMs) {
+      response.status(400).json({ error: "Invalid advance: expected a duration such as 30m or 6h" });
+      return;
+    }
+    clock.advance(advanceMs);
+    response.json({ clock: clock.describe(), visible: visibleStatuses(recording, clock).length });
+  });
+
+  app.post("/__mock/faults", express.json(), (request, response) => {
+    const { queue = [], rates } = request.body || {};
+    const invalid = (Array.isArray(queue) ? queue : [queue]).find((kind) => !FAULT_KINDS.includes(kind));
+    if (invalid !== undefined) {
+      response.status(400).json({ error: `Invalid fault kind: ${invalid}: expected one of ${FAULT_KINDS.join(", ")}` });
+      return;
+    }
+    if (rates !== undefined) {
+      try {
+        state.rates = parseFaults(
+          Object.entries(rates)
+            .map(([kind, rate]) => `${kind}:${rate}`)
+            .join(",")
+        );
+      } catch (error) {
+        response.status(400).json({ error: error.message });
+        return;
+      }
+    }
+    state.queue.push(...(Array.isArray(queue) ? queue : [queue]));
+    response.json({ rates: state.rates, queue: state.queue });
+  });
+
+  app.use((request, response, next) => {
+    state.requests += 1;
+    const fault = pickFault();
+    log(`${request.method} ${request.originalUrl}${fault ? ` -> fault ${fault}` : ""}`);
+    if (!fault) {
+      next();
+      return;
+    }
+    state.injected[fault] = (state.injected[fault] || 0) + 1;
+    if (fault === "429") {
+      response.status(429).set("Retry-After", String(retryAfterSeconds)).json({ error: "Too many requests" });
+    } else if (fault === "5xx") {
+      const [status, message] = SERVER_ERRORS[Math.floor(random() * SERVER_ERRORS.length)];
+      response.status(status).type("html").send(`<html><body><h1>${status} ${message}</h1></body></html>\n`);
+    } else if (fault === "challenge") {
+      response.set("cf-mitigated", "challenge").type("html").send(CHALLENGE_PAGE);
+    } else {
+      response.locals.fault = fault;
+      next();
+    }
+  });
+
+  app.get("/api/v1/accounts/:id/statuses", (request, response) => {
+    if (request.params.id !== recording.account.id) {
+      response.status(404).json({ error: "Record not found" });
+      return;
+    }
+    const page = pageStatuses(visibleStatuses(recording, clock), request.query);
+    const links = pageLinks(request, page);
+    if (links) response.set("Link", links);
+    send(request, response, "application/json; charset=utf-8", JSON.stringify(page));
+  });
+
+  app.get(/^\/@([A-Za-z0-9_]+)\.rss$/, (request, response) => {
+    if (request.params[0].toLowerCase() !== recording.account.acct.toLowerCase()) {
+      response.status(404).type("text").send("Not found");
+      return;
+    }
+    const baseUrl = `${request.protocol}://${request.get("host")}`;
+    const rss = renderRss(recording, visibleStatuses(recording, clock), { baseUrl });
+    send(request, response, "application/rss+xml; charset=utf-8", rss);
+  });
+
+  if (feedsDir) {
+    app.use("/feeds", express.static(feedsDir, { etag: true, lastModified: true }));
+  }
+
+  return app;
+}
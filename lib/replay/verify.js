@@ -0,0 +1,48 @@
+export function verifyReplay(store, recording, { until, excludeReplies = true }) {
+  const untilMs = Date.parse(until);
+  const expected = recording.statuses.filter(
+    (status) => Date.parse(status.created_at) <= untilMs && !(excludeReplies && status.in_reply_to_id)
+  );
+  const expectedIds = new Set(expected.map((status) => status.id));
+  const recordedIds = new Set(recording.statuses.map((status) => status.id));
+  const stored = [...store.scan(), ...store.hidden()];
+  const storedIds = new Set(stored.map((post) => post.id));
+
+  const deletedIds = new Set(recording.deletions.filter(({ at }) => Date.parse(at) <= untilMs).map(({ id }) => id));
+  const missing = [...expectedIds].filter((id) => !storedIds.has(id) && !deletedIds.has(id));
+  const unexpected = [...storedIds].filter((id) => !recordedIds.has(id));
+  const checks = [
+    {
+      name: "posts",
+      ok: !missing.length && !unexpected.length,
+      detail: [
+        `${storedIds.size} stored`,
+        `${expectedIds.size} expected`,
+        `${missing.length} missing`,
+        `${unexpected.length} unexpected`,
+      ].join(", "),
+      ids: [...missing, ...unexpected],
+    },
+  ];
+
+  const edits = recording.edits.filter(({ id, at }) => Date.parse(at) <= untilMs && storedIds.has(id));
+  const unedited = edits.filter(({ id, content }) => store.get(id).content !== content).map(({ id }) => id);
+  const withHistory = edits.filter(({ id }) => store.revisions(id).length > 1).length;
+  checks.push({
+    name: "edits",
+    ok: !unedited.length,
+    detail: `${edits.length - unedited.length} of ${edits.length} edits merged, ${withHistory} seen before the edit`,
+    ids: unedited,
+  });
+
+  const deletions = recording.deletions.filter(({ id, at }) => Date.parse(at) <= untilMs && storedIds.has(id));
+  const undetected = deletions.filter(({ id }) => !store.get(id)?.deleted_at).map(({ id }) => id);
+  checks.push({
+    name: "deletions",
+    ok: !undetected.length,
+    detail: `${deletions.length - undetected.length} of ${deletions.length} deletions detected`,
+    ids: undetected,
+  });
+
+  return { ok: checks.every((check) => check.ok), checks };
+}
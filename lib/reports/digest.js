@@ -0,0 +1,179 @@
+import { metricValue } from "../engagement.js";
+import { stripHtml } from "../posts.js";
+import { hasMedia, isEdited, isRetruth } from "../query.js";
+import { parseTimeZone } from "../stats.js";
+import { addZonedDays, parseZonedInput, startOfZonedDay, toZonedDateKey, zonedParts, zonedToUtc } from "../time.js";
+import { DIGEST_FORMATS } from "./render.js";
+
+export const DIGEST_PERIODS = ["day", "week", "month"];
+
+const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DEFAULT_TOP = 5;
+export const DIGEST_MAX_TOP = 50;
+const BUSIEST_LIMIT = 3;
+const KIND_TOTALS = { original: "originals", retruth: "retruths", reply: "replies", quote: "quotes" };
+
+export function periodBounds(period, date, timeZone) {
+  let start = startOfZonedDay(date, timeZone);
+  if (period === "week") {
+    start = addZonedDays(start, -((zonedParts(start, timeZone).weekday + 6) % 7), timeZone);
+  }
+  if (period === "month") {
+    const { year, month } = zonedParts(start, timeZone);
+    start = zonedToUtc({ year, month, day: 1 }, timeZone);
+    return { start, end: zonedToUtc({ year, month: month + 1, day: 1 }, timeZone) };
+  }
+  return { start, end: addZonedDays(start, period === "week" ? 7 : 1, timeZone) };
+}
+
+export function digestWindow(period, timeZone, { date, now = Date.now() } = {}) {
+  if (date) return periodBounds(period, date, timeZone);
+  const current = periodBounds(period, new Date(now), timeZone);
+  return periodBounds(period, new Date(current.start.getTime() - 1), timeZone);
+}
+
+export function parseDigestTop(value) {
+  if (value === undefined || value === "") return DEFAULT_TOP;
+  const top = Number(value);
+  return Number.isInteger(top) && top >= 1 && top <= DIGEST_MAX_TOP ? top : null;
+}
+
+export function parseDigestQuery(query, now = Date.now()) {
+  const period = query.period || "week";
+  if (!DIGEST_PERIODS.includes(period)) {
+    return { error: `Invalid period: expected one of ${DIGEST_PERIODS.join(", ")}` };
+  }
+  const format = query.format || "markdown";
+  if (!DIGEST_FORMATS[format]) {
+    return { error: `Invalid format: expected one of ${Object.keys(DIGEST_FORMATS).join(", ")}` };
+  }
+  const top = parseDigestTop(query.top);
+  if (top === null) {
+    return { error: `Invalid top: expected an integer between 1 and ${DIGEST_MAX_TOP}` };
+  }
+  const { timeZone, error } = parseTimeZone(query.tz);
+  if (error) return { error };
+  const date = query.date ? parseZonedInput(query.date, timeZone) : null;
+  if (query.date && !date) {
+    return { error: "Invalid date: expected YYYY-MM-DD or an ISO 8601 timestamp" };
+  }
+  return { options: { period, format, top, timeZone, ...digestWindow(period, timeZone, { date, now }) } };
+}
+
+function postKind(post) {
+  if (isRetruth(post)) return "retruth";
+  if (post.in_reply_to_id) return "reply";
+  if (post.quote) return "quote";
+  return "original";
+}
+
+function postsBetween(store, start, end) {
+  const posts = [];
+  for (const post of store.scan({ since: start.toISOString() })) {
+    if (Date.parse(post.timestamp) >= end.getTime()) break;
+    posts.push(post);
+  }
+  return posts;
+}
+
+function summarize(posts) {
+  const totals = {
+    posts: posts.length,
+    originals: 0,
+    retruths: 0,
+    replies: 0,
+    quotes: 0,
+    withMedia: 0,
+    edited: 0,
+    deleted: 0,
+  };
+  for (const post of posts) {
+    totals[KIND_TOTALS[postKind(post)]] += 1;
+    if (hasMedia(post)) totals.withMedia += 1;
+    if (isEdited(post)) totals.edited += 1;
+    if (post.deleted_at) totals.deleted += 1;
+  }
+  return totals;
+}
+
+function describePost(post) {
+  return {
+    id: post.id,
+    timestamp: post.timestamp,
+    url: post.url || null,
+    kind: postKind(post),
+    author: post.reblog?.account?.handle || null,
+    text: stripHtml(post.content) || stripHtml(post.reblog?.content) || "",
+    media: (post.media?.length || 0) + (post.reblog?.media?.length || 0),
+    edited: isEdited(post),
+    deleted: Boolean(post.deleted_at),
+  };
+}
+
+export function computeDigest(store, account, { period, start, end, timeZone, top = DEFAULT_TOP, now = Date.now() }) {
+  const posts = postsBetween(store, start, end);
+  const previousWindow = periodBounds(period, new Date(start.getTime() - 1), timeZone);
+  const previous = summarize(postsBetween(store, previousWindow.start, previousWindow.end));
+  const totals = summarize(posts);
+
+  const hours = new Array(24).fill(0);
+  const dayCounts = new Map();
+  for (const post of posts) {
+    const date = new Date(post.timestamp);
+    hours[zonedParts(date, timeZone).hour] += 1;
+    const key = toZonedDateKey(date, timeZone);
+    dayCounts.set(key, (dayCounts.get(key) || 0) + 1);
+  }
+  const days = [];
+  for (let day = start; day < end; day = addZonedDays(day, 1, timeZone)) {
+    const date = toZonedDateKey(day, timeZone);
+    days.push({ date, weekday: DAY_LABELS[zonedParts(day, timeZone).weekday], count: dayCounts.get(date) || 0 });
+  }
+  const busiestHours = hours
+    .map((count, hour) => ({ hour, count }))
+    .filter(({ count }) => count)
+    .sort((a, b) => b.count - a.count || a.hour - b.hour)
+    .slice(0, BUSIEST_LIMIT);
+  const busiestDays = days
+    .filter(({ count }) => count)
+    .sort((a, b) => b.count - a.count || a.date.localeCompare(b.date))
+    .slice(0, BUSIEST_LIMIT);
+
+  const topPosts = posts
+    .map((post) => ({ post, engagement: store.latestEngagement(post.id) }))
+    .filter(({ engagement }) => engagement)
+    .map(({ post, engagement }) => ({ post, engagement, total: metricValue(engagement, "total") }))
+    .sort((a, b) => b.total - a.total || Date.parse(b.post.timestamp) - Date.parse(a.post.timestamp))
+    .slice(0, top)
+    .map(({ post, engagement, total }) => ({
+      ...describePost(post),
+      engagement: { replies: engagement.replies, reblogs: engagement.reblogs, favourites: engagement.favourites },
+      total,
+    }));
+
+  return {
+    id: `${account.handle}-${period}-${toZonedDateKey(start, timeZone)}`,
+    account: account.handle,
+    displayName: account.displayName,
+    profileUrl: account.profileUrl,
+    period,
+    tz: timeZone,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    firstDay: toZonedDateKey(start, timeZone),
+    lastDay: toZonedDateKey(new Date(end.getTime() - 1), timeZone),
+    generatedAt: new Date(now).toISOString(),
+    totals,
+    previous: { start: previousWindow.start.toISOString(), end: previousWindow.end.toISOString(), totals: previous },
+    change: {
+      posts: totals.posts - previous.posts,
+      percent: previous.posts ? Math.round(((totals.posts - previous.posts) / previous.posts) * 1000) / 10 : null,
+    },
+    hours,
+    days,
+    busiestHours,
+    busiestDays,
+    topPosts,
+    posts: posts.map(describePost),
+  };
+}
@@ -0,0 +1,82 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { deliverWebhook } from "../alerts/delivery.js";
+import { isValidTimeZone } from "../time.js";
+import { DIGEST_MAX_TOP, DIGEST_PERIODS, parseDigestTop } from "./digest.js";
+import { DIGEST_FORMATS } from "./render.js";
+import { parseCron } from "./schedule.js";
+
+export { DIGEST_PERIODS, computeDigest, digestWindow, parseDigestQuery } from "./digest.js";
+export { DIGEST_FORMATS } from "./render.js";
+export { startSchedule } from "./schedule.js";
+
+export function parseDigestSettings({ schedule, period, timeZone, formats, top } = {}) {
+  const settings = {
+    cron: schedule ? parseCron(schedule) : null,
+    period: period || "week",
+    timeZone: timeZone || "UTC",
+    formats: String(formats || "markdown,html")
+      .split(",")
+      .map((format) => format.trim())
+      .filter(Boolean),
+    top: parseDigestTop(top),
+  };
+  if (!DIGEST_PERIODS.includes(settings.period)) {
+    throw new Error(`Invalid digest period: ${settings.period}: expected one of ${DIGEST_PERIODS.join(", ")}`);
+  }
+  if (!isValidTimeZone(settings.timeZone)) {
+    throw new Error(`Invalid digest time zone: ${settings.timeZone} is not an IANA time zone`);
+  }
+  const unknown = settings.formats.find((format) => !DIGEST_FORMATS[format]);
+  if (unknown !== undefined || !settings.formats.length) {
+    const expected = Object.keys(DIGEST_FORMATS).join(", ");
+    throw new Error(`Invalid digest format: ${unknown ?? formats}: expected one of ${expected}`);
+  }
+  if (settings.top === null) {
+    throw new Error(`Invalid digest top: ${top}: expected an integer between 1 and ${DIGEST_MAX_TOP}`);
+  }
+  return settings;
+}
+
+export function renderDigest(digest, format) {
+  return DIGEST_FORMATS[format].render(digest);
+}
+
+export function digestFileName(digest, format) {
+  return `${digest.period}-${digest.firstDay}.${DIGEST_FORMATS[format].extension}`;
+}
+
+export async function publishDigest(digest, { formats, outputDir, webhookUrl, secret, delivery = {} }) {
+  const documents = Object.fromEntries(formats.map((format) => [format, renderDigest(digest, format)]));
+  const files = [];
+  if (outputDir) {
+    const dir = path.join(outputDir, digest.account);
+    await fs.mkdir(dir, { recursive: true });
+    for (const format of formats) {
+      const filePath = path.join(dir, digestFileName(digest, format));
+      await fs.writeFile(`${filePath}.tmp`, documents[format]);
+      await fs.rename(`${filePath}.tmp`, filePath);
+      files.push(filePath);
+    }
+  }
+  const payload = {
+    type: "digest",
+    id: digest.id,
+    account: digest.account,
+    period: digest.period,
+    start: digest.start,
+    end: digest.end,
+    totals: digest.totals,
+    change: digest.change,
+    documents,
+  };
+  const result = webhookUrl
+    ? await deliverWebhook(webhookUrl, payload, {
+        secret,
+        userAgent: "truthsocial-digests/1.0",
+        idHeader: "X-Digest-Id",
+        ...delivery,
+      })
+    : { status: "skipped", attempts: 0, lastError: "No webhook configured" };
+  return { id: digest.id, files, delivery: result };
+}
@@ -0,0 +1,291 @@
+import { escapeXml } from "../syndication.js";
+import { zonedParts } from "../time.js";
+
+export const DIGEST_FORMATS = {
+  markdown: { contentType: "text/markdown; charset=utf-8", extension: "md", render: renderMarkdown },
+  html: { contentType: "text/html; charset=utf-8", extension: "html", render: renderHtml },
+  json: { contentType: "application/json; charset=utf-8", extension: "json", render: renderJson },
+};
+
+const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const TOTAL_ROWS = [
+  ["posts", "Posts"],
+  ["originals", "Original posts"],
+  ["retruths", "Retruths"],
+  ["replies", "Replies"],
+  ["quotes", "Quote posts"],
+  ["withMedia", "With media"],
+  ["edited", "Edited"],
+  ["deleted", "Deleted"],
+];
+const KIND_LABELS = { original: "", retruth: "Retruth", reply: "Reply", quote: "Quote" };
+const SNIPPET_LENGTH = 280;
+
+const pad = (value) => String(value).padStart(2, "0");
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+function localTime(timestamp, timeZone) {
+  const { hour, minute } = zonedParts(new Date(timestamp), timeZone);
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+function localDay(timestamp, timeZone) {
+  const { year, month, day, weekday } = zonedParts(new Date(timestamp), timeZone);
+  return `${DAY_LABELS[weekday]} ${year}-${pad(month)}-${pad(day)}`;
+}
+
+function hourRange(hour) {
+  return `${pad(hour)}:00–${pad((hour + 1) % 24)}:00`;
+}
+
+function snippet(text) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > SNIPPET_LENGTH ? `${flat.slice(0, SNIPPET_LENGTH - 1).trimEnd()}…` : flat;
+}
+
+function describeChange(current, previous) {
+  const delta = current - previous;
+  const sign = delta > 0 ? "+" : "";
+  if (!previous) return delta ? `${sign}${delta}` : "0";
+  return `${sign}${delta} (${sign}${Math.round((delta / previous) * 1000) / 10}%)`;
+}
+
+function periodRange(digest) {
+  const days = digest.firstDay === digest.lastDay ? digest.firstDay : `${digest.firstDay} to ${digest.lastDay}`;
+  return `${days} (${digest.tz})`;
+}
+
+function periodTitle(digest) {
+  if (digest.period === "day") return digest.firstDay;
+  if (digest.period === "month") return digest.firstDay.slice(0, 7);
+  return `week of ${digest.firstDay}`;
+}
+
+function postLabel(post) {
+  const kind = KIND_LABELS[post.kind];
+  const labels = [post.author ? `${kind} of @${post.author}` : kind];
+  if (post.media) labels.push(plural(post.media, "attachment"));
+  if (post.edited) labels.push("edited");
+  if (post.deleted) labels.push("deleted");
+  return labels.filter(Boolean).join(", ");
+}
+
+function engagementLabel({ engagement }) {
+  return `${engagement.replies} replies · ${engagement.reblogs} retruths · ${engagement.favourites} likes`;
+}
+
+function groupByDay(digest) {
+  const groups = new Map();
+  for (const post of digest.posts) {
+    const day = localDay(post.timestamp, digest.tz);
+    if (!groups.has(day)) groups.set(day, []);
+    groups.get(day).push(post);
+  }
+  return groups;
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>~])/g, "\\$1");
+}
+
+export function renderMarkdown(digest) {
+  const { tz, period } = digest;
+  const lines = [
+    `# @${digest.account} digest: ${periodTitle(digest)}`,
+    "",
+    `${periodRange(digest)}, generated ${digest.generatedAt}`,
+    "",
+    "## Totals",
+    "",
+    `| | This ${period} | Previous ${period} | Change |`,
+    "| --- | ---: | ---: | ---: |",
+    ...TOTAL_ROWS.map(([key, label]) => {
+      const current = digest.totals[key];
+      const previous = digest.previous.totals[key];
+      return `| ${label} | ${current} | ${previous} | ${describeChange(current, previous)} |`;
+    }),
+    "",
+    "## Busiest hours",
+    "",
+    ...(digest.busiestHours.length
+      ? digest.busiestHours.map(({ hour, count }) => `- ${hourRange(hour)}: ${plural(count, "post")}`)
+      : ["_No posts in this period._"]),
+    "",
+    "## Busiest days",
+    "",
+    ...(digest.busiestDays.length
+      ? digest.busiestDays.map(({ date, weekday, count }) => `- ${weekday} ${date}: ${plural(count, "post")}`)
+      : ["_No posts in this period._"]),
+    "",
+    "## Top posts",
+    "",
+  ];
+  if (!digest.topPosts.length) lines.push("_No engagement recorded yet._", "");
+  digest.topPosts.forEach((post, index) => {
+    const link = post.url ? ` · [link](${post.url})` : "";
+    const postedAt = `${localDay(post.timestamp, tz)} ${localTime(post.timestamp, tz)}`;
+    lines.push(
+      `${index + 1}. **${plural(post.total, "interaction")}** (${engagementLabel(post)}), ${postedAt}${link}`,
+      `   > ${escapeMarkdown(snippet(post.text)) || "_(no text)_"}`
+    );
+  });
+  if (digest.topPosts.length) lines.push("");
+  lines.push(`## All posts (${digest.posts.length})`, "");
+  if (!digest.posts.length) lines.push("_No posts in this period._", "");
+  for (const [day, posts] of groupByDay(digest)) {
+    lines.push(`### ${day}`, "");
+    for (const post of posts) {
+      const label = postLabel(post);
+      const text = escapeMarkdown(snippet(post.text)) || "_(no text)_";
+      const link = post.url ? ` [link](${post.url})` : "";
+      lines.push(`- ${localTime(post.timestamp, tz)}${label ? ` _${label}_` : ""} ${text}${link}`);
+    }
+    lines.push("");
+  }
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+export function renderHtml(digest) {
+  const { tz, period } = digest;
+  const maxDay = Math.max(...digest.days.map(({ count }) => count), 1);
+  const list = (items, render) => {
+    if (!items.length) return '<p class="muted">No posts in this period.</p>';
+    return `<ul>${items.map((item) => `<li>${render(item)}</li>`).join("")}</ul>`;
+  };
+  const link = (url, text) =>
+    url && /^https?:/.test(url) ? ` <a href="${escapeXml(url)}" target="_blank" rel="noreferrer">${text}</a>` : "";
+  const cells = (header, values) =>
+    `<tr><th scope="row">${header}</th>${values.map((value) => `<td>${value}</td>`).join("")}</tr>`;
+  const totals = TOTAL_ROWS.map(([key, label]) => {
+    const current = digest.totals[key];
+    const previous = digest.previous.totals[key];
+    return cells(label, [current, previous, describeChange(current, previous)]);
+  });
+  const days = digest.days.map(({ date, weekday, count }) => {
+    const bar = `<span class="bar" style="width: ${Math.round((count / maxDay) * 100)}%"></span>`;
+    return cells(`${weekday} ${date}`, [count, bar]);
+  });
+  const topPosts = digest.topPosts.map((post) =>
+    [
+      `<li><strong>${plural(post.total, "interaction")}</strong>`,
+      ` <span class="muted">${engagementLabel(post)}, `,
+      `${localDay(post.timestamp, tz)} ${localTime(post.timestamp, tz)}</span>`,
+      link(post.url, "View"),
+      `<blockquote>${escapeXml(snippet(post.text)) || "<em>(no text)</em>"}</blockquote></li>`,
+    ].join("")
+  );
+  const postGroups = Array.from(groupByDay(digest), ([day, posts]) => {
+    const items = posts.map((post) => {
+      const label = postLabel(post);
+      return [
+        `<li${post.deleted ? ' class="deleted"' : ""}><time>${localTime(post.timestamp, tz)}</time>`,
+        label ? ` <span class="muted">${escapeXml(label)}</span>` : "",
+        ` ${escapeXml(post.text) || "<em>(no text)</em>"}`,
+        link(post.url, "link"),
+        "</li>",
+      ].join("");
+    });
+    return `<h3>${day}</h3><ul class="posts">${items.join("")}</ul>`;
+  });
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>@${escapeXml(digest.account)} digest: ${escapeXml(periodTitle(digest))}</title>
+    <style>
+      body {
+        max-width: 760px;
+        margin: 0 auto;
+        padding: 24px 16px 48px;
+        font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+        line-height: 1.5;
+        color: #0f172a;
+        background: #ffffff;
+      }
+      h1 {
+        margin-bottom: 4px;
+      }
+      h2 {
+        margin-top: 32px;
+        border-bottom: 1px solid #e2e8f0;
+      }
+      a {
+        color: #2563eb;
+      }
+      table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      th,
+      td {
+        padding: 4px 8px;
+        border-bottom: 1px solid #f1f5f9;
+        text-align: right;
+      }
+      th[scope="row"] {
+        text-align: left;
+        font-weight: 500;
+      }
+      .days td:last-child {
+        width: 60%;
+      }
+      .bar {
+        display: inline-block;
+        height: 10px;
+        border-radius: 5px;
+        background: #60a5fa;
+        float: left;
+      }
+      .muted {
+        color: #64748b;
+        font-size: 14px;
+      }
+      blockquote {
+        margin: 6px 0 12px;
+        padding-left: 12px;
+        border-left: 3px solid #cbd5e1;
+      }
+      .posts {
+        padding-left: 0;
+        list-style: none;
+      }
+      .posts li {
+        margin-bottom: 8px;
+      }
+      .posts time {
+        font-variant-numeric: tabular-nums;
+        font-weight: 600;
+      }
+      .deleted {
+        color: #94a3b8;
+      }
+    </style>
+  </head>
+  <body>
+    <h1>@${escapeXml(digest.account)} digest: ${escapeXml(periodTitle(digest))}</h1>
+    <p class="muted">${escapeXml(periodRange(digest))}, generated ${digest.generatedAt}</p>
+    <h2>Totals</h2>
+    <table>
+      <thead><tr><th></th><th>This ${period}</th><th>Previous ${period}</th><th>Change</th></tr></thead>
+      <tbody>${totals.join("")}</tbody>
+    </table>
+    <h2>Busiest hours</h2>
+    ${list(digest.busiestHours, ({ hour, count }) => `${hourRange(hour)}: ${plural(count, "post")}`)}
+    <h2>Busiest days</h2>
+    ${list(digest.busiestDays, ({ date, weekday, count }) => `${weekday} ${date}: ${plural(count, "post")}`)}
+    <table class="days">
+      <tbody>${days.join("")}</tbody>
+    </table>
+    <h2>Top posts</h2>
+    ${topPosts.length ? `<ol>${topPosts.join("")}</ol>` : '<p class="muted">No engagement recorded yet.</p>'}
+    <h2>All posts (${digest.posts.length})</h2>
+    ${postGroups.join("\n    ") || '<p class="muted">No posts in this period.</p>'}
+  </body>
+</html>
+`;
+}
+
+export function renderJson(digest) {
+  return `${JSON.stringify(digest, null, 2)}\n`;
+}
@@ -0,0 +1,124 @@
+import { addZonedDays, zonedParts } from "../time.js";
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    const [, , first, last, stepText] = match;
+    const from = first === undefined ? min : Number(first);
+    const to = first === undefined ? max : last === undefined ? (stepText ? max : from) : Number(last);
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part} is outside ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+export function parseCron(expression) {
+  const source = String(expression || "").trim();
+  const fields = (ALIASES[source] || source).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    const aliases = Object.keys(ALIASES).join(", ");
+    throw new Error(`Invalid cron expression: ${source}: expected 5 fields or one of ${aliases}`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  const cron = {
+    expression: source,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*",
+  };
+  if (!nextCronRun(cron, new Date(), "UTC")) {
+    throw new Error(`Invalid cron expression: ${source} never matches a date`);
+  }
+  return cron;
+}
+
+function matchesDay(cron, { day, weekday }) {
+  const byMonth = cron.dayOfMonth.has(day);
+  const byWeek = cron.dayOfWeek.has(weekday);
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return byMonth && byWeek;
+  return byMonth || byWeek;
+}
+
+export function nextCronRun(cron, after, timeZone) {
+  let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const limit = time + SEARCH_LIMIT_MS;
+  while (time < limit) {
+    const parts = zonedParts(new Date(time), timeZone);
+    if (!cron.month.has(parts.month) || !matchesDay(cron, parts)) {
+      time = addZonedDays(new Date(time), 1, timeZone).getTime();
+    } else if (!cron.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * 60000;
+    } else if (!cron.minute.has(parts.minute)) {
+      time += 60000;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+export function startSchedule(cron, { timeZone, run, onError = () => {}, now = Date.now }) {
+  let timer = null;
+  let nextRunAt = null;
+
+  const arm = () => {
+    nextRunAt = nextCronRun(cron, new Date(now()), timeZone);
+    if (!nextRunAt) return;
+    timer = setTimeout(tick, Math.min(Math.max(nextRunAt.getTime() - now(), 0), MAX_TIMEOUT_MS));
+  };
+
+  const tick = async () => {
+    if (now() < nextRunAt.getTime()) {
+      arm();
+      return;
+    }
+    try {
+      await run(nextRunAt);
+    } catch (error) {
+      onError(error);
+    } finally {
+      arm();
+    }
+  };
+
+  arm();
+
+  return {
+    describe() {
+      return { schedule: cron.expression, tz: timeZone, nextRunAt: nextRunAt?.toISOString() || null };
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,88 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+export const RETENTION_MODES = ["compact", "archive"];
+
+const DAY_MS = 86400000;
+const COMPACT_FIELDS = [
+  "id",
+  "timestamp",
+  "url",
+  "visibility",
+  "in_reply_to_id",
+  "in_reply_to_account_id",
+  "edited_at",
+  "engagement",
+  "deleted_at",
+  "hidden_at",
+];
+
+export function parseRetention({ days, mode }) {
+  const retentionDays = Number.parseInt(days || "0", 10);
+  if (Number.isNaN(retentionDays) || retentionDays < 0) {
+    throw new Error(`Invalid retention days: ${days}`);
+  }
+  const retentionMode = mode || "compact";
+  if (!RETENTION_MODES.includes(retentionMode)) {
+    throw new Error(`Invalid retention mode: expected one of ${RETENTION_MODES.join(", ")}`);
+  }
+  return { days: retentionDays, mode: retentionMode };
+}
+
+export function compactPost(post, compactedAt) {
+  const compacted = {};
+  for (const field of COMPACT_FIELDS) {
+    if (post[field] !== undefined) compacted[field] = post[field];
+  }
+  compacted.reblog = post.reblog ? { id: post.reblog.id ?? null, url: post.reblog.url || "" } : null;
+  compacted.compacted_at = compactedAt;
+  return compacted;
+}
+
+function expiredPosts(store, before) {
+  const posts = [];
+  for (const post of store.scan({ until: new Date(Date.parse(before) - 1).toISOString() })) {
+    posts.push(post);
+  }
+  for (const post of store.hidden()) {
+    if (Date.parse(post.timestamp) < Date.parse(before)) posts.push(post);
+  }
+  return posts;
+}
+
+export async function writeArchive(store, posts, { archiveDir }) {
+  const byMonth = new Map();
+  for (const post of posts) {
+    const month = post.timestamp.slice(0, 7);
+    const revisions = store.revisions(post.id).slice(0, -1);
+    const record = { ...post, revisions, engagement_history: store.engagement(post.id) };
+    byMonth.set(month, [...(byMonth.get(month) || []), JSON.stringify(record)]);
+  }
+  await fs.mkdir(archiveDir, { recursive: true });
+  const files = [];
+  for (const [month, lines] of byMonth) {
+    const filePath = path.join(archiveDir, `${month}.ndjson`);
+    await fs.appendFile(filePath, `${lines.join("\n")}\n`);
+    files.push(filePath);
+  }
+  return files;
+}
+
+export async function applyRetention(store, { days, mode, archiveDir, now = Date.now() }) {
+  if (!days) return null;
+  const before = new Date(now - days * DAY_MS).toISOString();
+  const expired = expiredPosts(store, before);
+  const result = { mode, before, posts: 0, files: [] };
+  if (mode === "archive") {
+    if (!expired.length) return result;
+    result.files = await writeArchive(store, expired, { archiveDir });
+    result.posts = await store.archivePosts(expired.map((post) => post.id), before);
+  } else {
+    const compactedAt = new Date(now).toISOString();
+    const pending = expired.filter((post) => !post.compacted_at).map((post) => compactPost(post, compactedAt));
+    if (!pending.length) return result;
+    result.posts = await store.compactPosts(pending);
+  }
+  await store.vacuum();
+  return result;
+}
@@ -0,0 +1,178 @@
+import {
+  addZonedDays,
+  isValidTimeZone,
+  parseZonedInput,
+  startOfZonedDay,
+  toZonedDateKey,
+  zonedParts,
+} from "./time.js";
+import { ROLLUP_GRANULARITIES } from "./store/log_store.js";
+
+const DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MAX_HISTORY_DAYS = 3660;
+
+export function parseTimeZone(value) {
+  const timeZone = value || "UTC";
+  if (!isValidTimeZone(timeZone)) {
+    return { error: `Invalid tz: ${timeZone} is not an IANA time zone` };
+  }
+  return { timeZone };
+}
+
+export function parseRangeQuery(query) {
+  const { timeZone, error } = parseTimeZone(query.tz);
+  if (error) return { error };
+  if (!query.start || !query.end) {
+    return { error: "start and end are required" };
+  }
+  const start = parseZonedInput(query.start, timeZone);
+  const end = parseZonedInput(query.end, timeZone, { endOfDay: true });
+  if (!start || !end) {
+    return { error: "Invalid start or end: expected YYYY-MM-DD, YYYY-MM-DDTHH:mm or an ISO 8601 timestamp" };
+  }
+  if (end <= start) {
+    return { error: "end must be after start" };
+  }
+  return { options: { start, end, timeZone } };
+}
+
+export function computeRangeStats(store, { start, end, timeZone }) {
+  let count = 0;
+  let first = null;
+  let last = null;
+  for (const post of store.scan({ since: start.toISOString() })) {
+    if (Date.parse(post.timestamp) >= end.getTime()) break;
+    count += 1;
+    first = first || post;
+    last = post;
+  }
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    tz: timeZone,
+    count,
+    firstPostAt: first?.timestamp || null,
+    lastPostAt: last?.timestamp || null,
+  };
+}
+
+export function parseHistoryQuery(query, defaultDays) {
+  const { timeZone, error } = parseTimeZone(query.tz);
+  if (error) return { error };
+  const now = new Date();
+  const end = query.until ? parseZonedInput(query.until, timeZone, { endOfDay: true }) : addZonedDays(now, 1, timeZone);
+  if (!end) return { error: "Invalid until: expected YYYY-MM-DD or an ISO 8601 timestamp" };
+  let start;
+  if (query.since) {
+    start = parseZonedInput(query.since, timeZone);
+    if (!start) return { error: "Invalid since: expected YYYY-MM-DD or an ISO 8601 timestamp" };
+  } else {
+    const days = Number.parseInt(query.days || String(defaultDays), 10);
+    if (Number.isNaN(days) || days <= 0 || days > MAX_HISTORY_DAYS) {
+      return { error: `Invalid days: expected an integer between 1 and ${MAX_HISTORY_DAYS}` };
+    }
+    start = addZonedDays(end, -days, timeZone);
+  }
+  start = startOfZonedDay(start, timeZone);
+  if (end <= start) return { error: "until must be after since" };
+  if (end - start > MAX_HISTORY_DAYS * 86400000) {
+    return { error: `Range too large: at most ${MAX_HISTORY_DAYS} days` };
+  }
+  return { options: { start, end, timeZone } };
+}
+
+export function parseRollupQuery(query) {
+  const granularity = query.granularity || "day";
+  if (!ROLLUP_GRANULARITIES.includes(granularity)) {
+    return { error: `Invalid granularity: expected one of ${ROLLUP_GRANULARITIES.join(", ")}` };
+  }
+  const bounds = {};
+  for (const name of ["since", "until"]) {
+    if (!query[name]) continue;
+    const date = parseZonedInput(query[name], "UTC", { endOfDay: name === "until" });
+    if (!date) return { error: `Invalid ${name}: expected YYYY-MM-DD or an ISO 8601 timestamp` };
+    bounds[name] = name === "until" ? new Date(date.getTime() - 1).toISOString() : date.toISOString();
+  }
+  return { options: { granularity, ...bounds } };
+}
+
+export function computeRollup(store, { granularity, since, until }) {
+  const buckets = store.rollup(granularity, { since, until });
+  return {
+    granularity,
+    since: since || null,
+    until: until || null,
+    archivedBefore: store.archivedBefore(),
+    total: buckets.reduce((sum, { count }) => sum + count, 0),
+    buckets,
+  };
+}
+
+function postsBetween(store, { start, end }) {
+  const posts = [];
+  for (const post of store.scan({ since: start.toISOString() })) {
+    if (Date.parse(post.timestamp) >= end.getTime()) break;
+    posts.push(post);
+  }
+  return posts;
+}
+
+function mondayOf(dateKey) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+export function computeDaily(store, options) {
+  const { start, end, timeZone } = options;
+  const counts = new Map();
+  if (timeZone === "UTC") {
+    const range = { since: start.toISOString(), until: new Date(end.getTime() - 1).toISOString() };
+    for (const { period, count } of store.rollup("day", range)) counts.set(period, count);
+  } else {
+    for (const post of postsBetween(store, options)) {
+      const key = toZonedDateKey(new Date(post.timestamp), timeZone);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  const days = [];
+  for (let day = start; day < end; day = addZonedDays(day, 1, timeZone)) {
+    const date = toZonedDateKey(day, timeZone);
+    days.push({ date, start: day.toISOString(), count: counts.get(date) || 0 });
+  }
+  return { tz: timeZone, start: start.toISOString(), end: end.toISOString(), days };
+}
+
+export function computeWeekly(store, options) {
+  const monday = mondayOf(toZonedDateKey(options.start, options.timeZone));
+  const start = parseZonedInput(monday, options.timeZone);
+  const { days, ...range } = computeDaily(store, { ...options, start });
+  const weeks = new Map();
+  for (const day of days) {
+    const week = mondayOf(day.date);
+    const bucket = weeks.get(week) || { week, start: day.start, count: 0, days: 0 };
+    bucket.count += day.count;
+    bucket.days += 1;
+    weeks.set(week, bucket);
+  }
+  return { ...range, weeks: Array.from(weeks.values()) };
+}
+
+export function computeHeatmap(store, options) {
+  const { start, end, timeZone } = options;
+  const matrix = DAY_LABELS.map(() => Array(24).fill(0));
+  let total = 0;
+  for (const post of postsBetween(store, options)) {
+    const { weekday, hour } = zonedParts(new Date(post.timestamp), timeZone);
+    matrix[(weekday + 6) % 7][hour] += 1;
+    total += 1;
+  }
+  return {
+    tz: timeZone,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    days: DAY_LABELS,
+    matrix,
+    total,
+  };
+}
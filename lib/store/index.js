@@ -0,0 +1,45 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { normalizePosts } from "../posts.js";
+import { createLogStore } from "./log_store.js";
+
+const BACKENDS = {
+  log: (dataDir, account) => createLogStore({ filePath: path.join(dataDir, "store", `${account.handle}.ndjson`) }),
+};
+
+export async function readJsonPosts(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, "utf-8");
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : Array.isArray(parsed.posts) ? parsed.posts : [];
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+export async function migrateJsonFile(store, filePath) {
+  const posts = await readJsonPosts(filePath);
+  if (!posts) return null;
+  const { inserted, updated } = await store.upsert(normalizePosts(posts));
+  return { source: filePath, inserted: inserted.length, updated: updated.length };
+}
+
+export async function openStore(account, { dataDir, backend = "log", legacyPaths = [] }) {
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown store backend: ${backend}`);
+  }
+  const store = factory(dataDir, account);
+  await store.open();
+  if (store.created) {
+    for (const legacyPath of legacyPaths) {
+      const result = await migrateJsonFile(store, legacyPath);
+      if (result) {
+        console.log(`Imported ${result.inserted} posts for @${account.handle} from ${legacyPath}`);
+        break;
+      }
+    }
+  }
+  return store;
+}
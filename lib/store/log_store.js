@@ -0,0 +1,463 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { canonicalId, mergePost, toHourKey } from "../posts.js";
+
+const COMPACT_MIN_RECORDS = 1000;
+const ROLLUP_KEYS = {
+  hour: (time) => toHourKey(time),
+  day: (time) => new Date(time).toISOString().slice(0, 10),
+  month: (time) => new Date(time).toISOString().slice(0, 7),
+};
+
+export const ROLLUP_GRANULARITIES = Object.keys(ROLLUP_KEYS);
+
+function lowerBound(entries, time, id = "") {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    const entry = entries[mid];
+    if (entry.time < time || (entry.time === time && entry.id < id)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+function toTime(timestamp) {
+  const time = Date.parse(timestamp);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+async function appendDurably(filePath, text) {
+  const handle = await fs.open(filePath, "a");
+  try {
+    await handle.write(text);
+    await handle.datasync();
+  } finally {
+    await handle.close();
+  }
+}
+
+async function writeAtomically(filePath, text) {
+  const tempPath = `${filePath}.tmp`;
+  const handle = await fs.open(tempPath, "w");
+  try {
+    await handle.write(text);
+    await handle.datasync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, filePath);
+}
+
+export function createLogStore({ filePath }) {
+  const byId = new Map();
+  const timeline = [];
+  const rollups = Object.fromEntries(ROLLUP_GRANULARITIES.map((granularity) => [granularity, new Map()]));
+  const archivedHours = new Map();
+  const revisions = new Map();
+  const engagement = new Map();
+  const deleted = new Set();
+  const hidden = new Set();
+  let recordCount = 0;
+  let historyCount = 0;
+  let archivedBefore = 0;
+  let created = false;
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const bump = (time, delta) => {
+    for (const granularity of ROLLUP_GRANULARITIES) {
+      const counts = rollups[granularity];
+      const key = ROLLUP_KEYS[granularity](time);
+      const remaining = (counts.get(key) || 0) + delta;
+      if (remaining > 0) {
+        counts.set(key, remaining);
+      } else {
+        counts.delete(key);
+      }
+    }
+  };
+
+  const index = (post) => {
+    const time = toTime(post.timestamp);
+    const position = lowerBound(timeline, time, post.id);
+    timeline.splice(position, 0, { time, id: post.id });
+    bump(time, 1);
+  };
+
+  const unindex = (post, { keepRollups = false } = {}) => {
+    const time = toTime(post.timestamp);
+    const position = lowerBound(timeline, time, post.id);
+    if (timeline[position]?.id === post.id) {
+      timeline.splice(position, 1);
+    }
+    if (!keepRollups) bump(time, -1);
+  };
+
+  const forget = (id) => {
+    byId.delete(id);
+    historyCount -= (revisions.get(id)?.length || 0) + (engagement.get(id)?.length || 0);
+    revisions.delete(id);
+    engagement.delete(id);
+    deleted.delete(id);
+    hidden.delete(id);
+  };
+
+  const apply = (record) => {
+    if (record.type === "remove") {
+      const existing = byId.get(record.id);
+      if (existing) {
+        if (!existing.hidden_at) unindex(existing);
+        forget(record.id);
+      }
+      return;
+    }
+    if (record.type === "archive") {
+      for (const id of record.ids) {
+        const existing = byId.get(id);
+        if (!existing) continue;
+        if (!existing.hidden_at) {
+          unindex(existing, { keepRollups: true });
+          const hourKey = toHourKey(toTime(existing.timestamp));
+          archivedHours.set(hourKey, (archivedHours.get(hourKey) || 0) + 1);
+        }
+        forget(id);
+      }
+      archivedBefore = Math.max(archivedBefore, toTime(record.before));
+      return;
+    }
+    if (record.type === "rollup") {
+      for (const [hour, count] of Object.entries(record.hours)) {
+        archivedHours.set(hour, (archivedHours.get(hour) || 0) + count);
+        bump(toTime(hour), count);
+      }
+      archivedBefore = Math.max(archivedBefore, toTime(record.before));
+      return;
+    }
+    if (record.type === "engagement") {
+      const series = engagement.get(record.id) || [];
+      series.push(record.snapshot);
+      engagement.set(record.id, series);
+      historyCount += 1;
+      return;
+    }
+    if (record.type === "revision") {
+      const history = revisions.get(record.id) || [];
+      history.push(record.revision);
+      revisions.set(record.id, history);
+      historyCount += 1;
+      return;
+    }
+    const post = record.post;
+    const existing = byId.get(post.id);
+    if (record.type === "compact") {
+      historyCount -= (revisions.get(post.id)?.length || 0) + (engagement.get(post.id)?.length || 0);
+      revisions.delete(post.id);
+      engagement.delete(post.id);
+    }
+    if (existing && !existing.hidden_at) unindex(existing);
+    byId.set(post.id, post);
+    if (post.hidden_at) {
+      hidden.add(post.id);
+    } else {
+      hidden.delete(post.id);
+      index(post);
+    }
+    if (post.deleted_at) {
+      deleted.add(post.id);
+    } else {
+      deleted.delete(post.id);
+    }
+  };
+
+  const serialize = (records) => records.map((record) => `${JSON.stringify(record)}\n`).join("");
+
+  const compact = async () => {
+    const records = [];
+    if (archivedBefore) {
+      records.push({
+        type: "rollup",
+        before: new Date(archivedBefore).toISOString(),
+        hours: Object.fromEntries(archivedHours),
+      });
+    }
+    for (const id of [...timeline.map((entry) => entry.id), ...hidden]) {
+      for (const revision of revisions.get(id) || []) {
+        records.push({ type: "revision", id, revision });
+      }
+      records.push({ type: "post", post: byId.get(id) });
+      for (const snapshot of engagement.get(id) || []) {
+        records.push({ type: "engagement", id, snapshot });
+      }
+    }
+    await writeAtomically(filePath, serialize(records));
+    recordCount = records.length;
+  };
+
+  const commit = async (records) => {
+    if (!records.length) return;
+    await appendDurably(filePath, serialize(records));
+    records.forEach(apply);
+    recordCount += records.length;
+    if (recordCount > Math.max(COMPACT_MIN_RECORDS, (byId.size + historyCount) * 2)) {
+      await compact();
+    }
+  };
+
+  return {
+    get created() {
+      return created;
+    },
+
+    async open() {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      let raw = "";
+      try {
+        raw = await fs.readFile(filePath, "utf-8");
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        created = true;
+        await fs.writeFile(filePath, "");
+        return;
+      }
+      const lines = raw.split("\n");
+      let validLength = 0;
+      for (let i = 0; i < lines.length; i += 1) {
+        const line = lines[i];
+        const isLast = i === lines.length - 1;
+        if (!line) {
+          if (!isLast) validLength += 1;
+          continue;
+        }
+        try {
+          apply(JSON.parse(line));
+          recordCount += 1;
+          validLength += Buffer.byteLength(line) + (isLast ? 0 : 1);
+        } catch (error) {
+          if (isLast) {
+            console.warn(`Discarding truncated record at end of ${filePath}`);
+            break;
+          }
+          console.warn(`Skipping unreadable record on line ${i + 1} of ${filePath}`);
+          validLength += Buffer.byteLength(line) + 1;
+        }
+      }
+      if (validLength < Buffer.byteLength(raw)) {
+        await fs.truncate(filePath, validLength);
+      }
+    },
+
+    upsert(posts) {
+      return enqueue(async () => {
+        const pending = new Map();
+        for (const post of posts) {
+          const id = canonicalId(post);
+          if (!id) continue;
+          const current = byId.get(id);
+          if (current?.compacted_at || (!current && toTime(post.timestamp) < archivedBefore)) continue;
+          const normalized = { ...post, id };
+          const existing = pending.get(id) || byId.get(id);
+          pending.set(id, existing ? mergePost(existing, normalized) : normalized);
+        }
+        const inserted = [];
+        const updated = [];
+        const edited = [];
+        const records = [];
+        const observedAt = new Date().toISOString();
+        for (const [id, post] of pending) {
+          const existing = byId.get(id);
+          if (existing && JSON.stringify(existing) === JSON.stringify(post)) continue;
+          (existing ? updated : inserted).push(post);
+          if (existing?.content && existing.content !== post.content) {
+            const revision = {
+              content: existing.content,
+              edited_at: existing.edited_at || null,
+              superseded_at: observedAt,
+            };
+            records.push({ type: "revision", id, revision });
+            edited.push(post);
+          }
+          records.push({ type: "post", post });
+        }
+        await commit(records);
+        return { inserted, updated, edited };
+      });
+    },
+
+    recordEngagement(entries) {
+      return enqueue(async () => {
+        const records = entries
+          .filter(({ id }) => byId.has(id))
+          .map(({ id, snapshot }) => ({ type: "engagement", id, snapshot }));
+        await commit(records);
+        return records.map(({ id, snapshot }) => ({ id, snapshot }));
+      });
+    },
+
+    markDeleted(ids, deletedAt) {
+      return enqueue(async () => {
+        const changed = [];
+        for (const id of ids) {
+          const existing = byId.get(id);
+          if (!existing || (existing.deleted_at || null) === deletedAt) continue;
+          const post = { ...existing };
+          if (deletedAt) {
+            post.deleted_at = deletedAt;
+          } else {
+            delete post.deleted_at;
+          }
+          changed.push(post);
+        }
+        await commit(changed.map((post) => ({ type: "post", post })));
+        return changed;
+      });
+    },
+
+    markHidden(ids, hiddenAt) {
+      return enqueue(async () => {
+        const changed = [];
+        for (const id of ids) {
+          const existing = byId.get(id);
+          if (!existing || (existing.hidden_at || null) === hiddenAt) continue;
+          const post = { ...existing };
+          if (hiddenAt) {
+            post.hidden_at = hiddenAt;
+          } else {
+            delete post.hidden_at;
+          }
+          changed.push(post);
+        }
+        await commit(changed.map((post) => ({ type: "post", post })));
+        return changed;
+      });
+    },
+
+    hidden() {
+      return Array.from(hidden, (id) => byId.get(id)).sort(
+        (a, b) => Date.parse(b.hidden_at) - Date.parse(a.hidden_at)
+      );
+    },
+
+    compactPosts(posts) {
+      return enqueue(async () => {
+        const records = posts.filter(({ id }) => byId.has(id)).map((post) => ({ type: "compact", post }));
+        await commit(records);
+        return records.length;
+      });
+    },
+
+    archivePosts(ids, before) {
+      return enqueue(async () => {
+        const present = ids.filter((id) => byId.has(id));
+        await commit([{ type: "archive", ids: present, before }]);
+        return present.length;
+      });
+    },
+
+    vacuum() {
+      return enqueue(compact);
+    },
+
+    archivedBefore() {
+      return archivedBefore ? new Date(archivedBefore).toISOString() : null;
+    },
+
+    remove(id) {
+      return enqueue(async () => {
+        if (!byId.has(id)) return false;
+        await commit([{ type: "remove", id }]);
+        return true;
+      });
+    },
+
+    get(id) {
+      return byId.get(id) || null;
+    },
+
+    latest() {
+      const newest = timeline[timeline.length - 1];
+      return newest ? byId.get(newest.id) : null;
+    },
+
+    count() {
+      return byId.size;
+    },
+
+    revisions(id) {
+      const post = byId.get(id);
+      if (!post) return null;
+      const current = { content: post.content || "", edited_at: post.edited_at || null, superseded_at: null };
+      return [...(revisions.get(id) || []), current];
+    },
+
+    engagement(id) {
+      if (!byId.has(id)) return null;
+      return engagement.get(id) || [];
+    },
+
+    latestEngagement(id) {
+      const series = engagement.get(id);
+      return series ? series[series.length - 1] : null;
+    },
+
+    deletions({ limit } = {}) {
+      const posts = Array.from(deleted, (id) => byId.get(id))
+        .filter((post) => !post.hidden_at)
+        .sort((a, b) => Date.parse(b.deleted_at) - Date.parse(a.deleted_at));
+      return limit ? posts.slice(0, limit) : posts;
+    },
+
+    *scan({ since, until, order = "asc", after } = {}) {
+      let start = since ? lowerBound(timeline, toTime(since)) : 0;
+      let end = until ? lowerBound(timeline, toTime(until) + 1) : timeline.length;
+      if (after && order === "asc") {
+        start = Math.max(start, lowerBound(timeline, after.time, `${after.id}\0`));
+      } else if (after) {
+        end = Math.min(end, lowerBound(timeline, after.time, after.id));
+      }
+      if (order === "desc") {
+        for (let i = end - 1; i >= start; i -= 1) yield byId.get(timeline[i].id);
+      } else {
+        for (let i = start; i < end; i += 1) yield byId.get(timeline[i].id);
+      }
+    },
+
+    list({ since, until, order = "asc", limit } = {}) {
+      const posts = [];
+      for (const post of this.scan({ since, until, order })) {
+        if (limit && posts.length >= limit) break;
+        posts.push(post);
+      }
+      return posts;
+    },
+
+    rollup(granularity, { since, until } = {}) {
+      const sinceTime = since ? toTime(since) : -Infinity;
+      const untilTime = until ? toTime(until) : Infinity;
+      return Array.from(rollups[granularity].entries())
+        .filter(([period]) => {
+          const time = Date.parse(period);
+          return time >= sinceTime && time <= untilTime;
+        })
+        .map(([period, count]) => ({ period, count }))
+        .sort((a, b) => Date.parse(a.period) - Date.parse(b.period));
+    },
+
+    hourly(range) {
+      return this.rollup("hour", range).map(({ period, count }) => ({ hour: period, count }));
+    },
+
+    close() {
+      return enqueue(async () => {});
+    },
+  };
+}
@@ -0,0 +1,103 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { promisify } from "util";
+import { gunzip, gzip } from "zlib";
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const SNAPSHOT_FORMAT = "truthsocial-store-snapshot";
+const SNAPSHOT_VERSION = 1;
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_.-]+\.ndjson$/;
+
+function sha256(buffer) {
+  return createHash("sha256").update(buffer).digest("hex");
+}
+
+export function checksumPath(snapshotPath) {
+  return `${snapshotPath}.sha256`;
+}
+
+export async function writeSnapshot(storeDir, outFile, { handles } = {}) {
+  const names = (await fs.readdir(storeDir))
+    .filter((name) => FILE_NAME_PATTERN.test(name))
+    .filter((name) => !handles || handles.includes(path.basename(name, ".ndjson")))
+    .sort();
+  if (!names.length) {
+    throw new Error(`No store files to snapshot in ${storeDir}`);
+  }
+  const files = [];
+  for (const name of names) {
+    const content = await fs.readFile(path.join(storeDir, name));
+    files.push({ name, bytes: content.length, sha256: sha256(content), content: content.toString("utf-8") });
+  }
+  const snapshot = { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, createdAt: new Date().toISOString(), files };
+  const compressed = await gzipAsync(JSON.stringify(snapshot));
+  const checksum = sha256(compressed);
+  await fs.mkdir(path.dirname(outFile), { recursive: true });
+  await fs.writeFile(`${outFile}.tmp`, compressed);
+  await fs.rename(`${outFile}.tmp`, outFile);
+  await fs.writeFile(checksumPath(outFile), `${checksum}  ${path.basename(outFile)}\n`);
+  return {
+    file: outFile,
+    bytes: compressed.length,
+    sha256: checksum,
+    files: files.map(({ name, bytes, sha256: digest }) => ({ name, bytes, sha256: digest })),
+  };
+}
+
+export async function readSnapshot(snapshotFile, { requireChecksum = true } = {}) {
+  const compressed = await fs.readFile(snapshotFile);
+  let expected = null;
+  try {
+    expected = (await fs.readFile(checksumPath(snapshotFile), "utf-8")).trim().split(/\s+/)[0];
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    if (requireChecksum) throw new Error(`Missing checksum file: ${checksumPath(snapshotFile)}`);
+  }
+  if (expected && expected !== sha256(compressed)) {
+    throw new Error(`Checksum mismatch for ${snapshotFile}`);
+  }
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await gunzipAsync(compressed));
+  } catch (error) {
+    throw new Error(`Unreadable snapshot ${snapshotFile}: ${error.message}`);
+  }
+  if (snapshot.format !== SNAPSHOT_FORMAT || snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot format in ${snapshotFile}`);
+  }
+  for (const file of snapshot.files) {
+    if (!FILE_NAME_PATTERN.test(file.name)) {
+      throw new Error(`Invalid file name in snapshot: ${JSON.stringify(file.name)}`);
+    }
+    if (sha256(Buffer.from(file.content, "utf-8")) !== file.sha256) {
+      throw new Error(`Checksum mismatch for ${file.name} in ${snapshotFile}`);
+    }
+  }
+  return snapshot;
+}
+
+export async function restoreSnapshot(snapshotFile, storeDir, { force = false, requireChecksum = true } = {}) {
+  const snapshot = await readSnapshot(snapshotFile, { requireChecksum });
+  await fs.mkdir(storeDir, { recursive: true });
+  if (!force) {
+    for (const { name } of snapshot.files) {
+      const exists = await fs.access(path.join(storeDir, name)).then(
+        () => true,
+        () => false
+      );
+      if (exists) throw new Error(`Refusing to overwrite ${path.join(storeDir, name)} without --force`);
+    }
+  }
+  for (const { name, content } of snapshot.files) {
+    const filePath = path.join(storeDir, name);
+    await fs.writeFile(`${filePath}.tmp`, content);
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+  return {
+    createdAt: snapshot.createdAt,
+    files: snapshot.files.map(({ name, bytes, sha256: digest }) => ({ name, bytes, sha256: digest })),
+  };
+}
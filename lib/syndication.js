@@ -0,0 +1,215 @@
+import { createHash } from "crypto";
+import { stripHtml } from "./posts.js";
+
+export const FEED_FORMATS = {
+  rss: { contentType: "application/rss+xml; charset=utf-8", build: buildRss },
+  atom: { contentType: "application/atom+xml; charset=utf-8", build: buildAtom },
+  json: { contentType: "application/feed+json; charset=utf-8", build: buildJsonFeed },
+};
+
+const TITLE_LENGTH = 100;
+const MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  mp4: "video/mp4",
+  m4v: "video/mp4",
+  mov: "video/quicktime",
+  webm: "video/webm",
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  ogg: "audio/ogg",
+};
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function mimeType(attachment) {
+  const extension = String(attachment.url).split(/[?#]/)[0].split(".").pop().toLowerCase();
+  if (MIME_TYPES[extension]) return MIME_TYPES[extension];
+  if (attachment.type === "image") return "image/jpeg";
+  if (attachment.type === "video" || attachment.type === "gifv") return "video/mp4";
+  if (attachment.type === "audio") return "audio/mpeg";
+  return "application/octet-stream";
+}
+
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  return `${text.slice(0, length - 1).trimEnd()}…`;
+}
+
+function entryTitle(post) {
+  const text = stripHtml(post.content) || stripHtml(post.reblog?.content);
+  const prefix = post.reblog ? `RT @${post.reblog.account?.handle || "unknown"}: ` : "";
+  if (text) return truncate(`${prefix}${text}`, TITLE_LENGTH);
+  const media = [...post.media, ...(post.reblog?.media || [])];
+  return `${prefix}${media.length ? `${media.length} media attachment${media.length === 1 ? "" : "s"}` : "Untitled post"}`;
+}
+
+function entryHtml(post) {
+  const parts = [];
+  if (post.reblog) {
+    const author = post.reblog.account?.handle ? `@${escapeXml(post.reblog.account.handle)}` : "another account";
+    parts.push(`<p><em>Retruth of ${author}</em></p>`, post.reblog.content || "");
+  } else {
+    parts.push(post.content || "");
+  }
+  if (post.quote) {
+    const link = post.quote.url ? ` <a href="${escapeXml(post.quote.url)}">original</a>` : "";
+    parts.push(`<blockquote>${post.quote.content || ""}${link}</blockquote>`);
+  }
+  for (const attachment of [...post.media, ...(post.reblog?.media || [])]) {
+    if (attachment.type === "image") {
+      parts.push(`<p><img src="${escapeXml(attachment.url)}" alt="${escapeXml(attachment.description || "")}"></p>`);
+    } else {
+      parts.push(`<p><a href="${escapeXml(attachment.url)}">${escapeXml(attachment.type)} attachment</a></p>`);
+    }
+  }
+  return parts.filter(Boolean).join("\n");
+}
+
+function permalink(post, account) {
+  if (post.url && /^https?:/.test(post.url)) return post.url;
+  return `${account.profileUrl}/${post.id}`;
+}
+
+function attachments(post) {
+  return [...post.media, ...(post.reblog?.media || [])].map((attachment) => ({
+    ...attachment,
+    mimeType: mimeType(attachment),
+  }));
+}
+
+export function lastModified(posts) {
+  let latest = 0;
+  for (const post of posts) {
+    for (const value of [post.timestamp, post.edited_at, post.deleted_at]) {
+      const time = Date.parse(value || "");
+      if (!Number.isNaN(time) && time > latest) latest = time;
+    }
+  }
+  return latest ? new Date(Math.floor(latest / 1000) * 1000) : null;
+}
+
+function buildRss({ account, posts, selfUrl, updated }) {
+  const items = posts.map((post) => {
+    const media = attachments(post);
+    const [enclosure] = media;
+    return [
+      "    <item>",
+      `      <title>${escapeXml(entryTitle(post))}</title>`,
+      `      <link>${escapeXml(permalink(post, account))}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(post.id)}</guid>`,
+      `      <pubDate>${new Date(post.timestamp).toUTCString()}</pubDate>`,
+      `      <dc:creator>${escapeXml(post.reblog?.account?.handle || account.handle)}</dc:creator>`,
+      `      <description>${escapeXml(entryHtml(post))}</description>`,
+      ...post.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`),
+      ...(enclosure ? [`      <enclosure url="${escapeXml(enclosure.url)}" type="${enclosure.mimeType}" length="0"/>`] : []),
+      ...media.map((attachment) => `      <media:content url="${escapeXml(attachment.url)}" type="${attachment.mimeType}"/>`),
+      "    </item>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    "  <channel>",
+    `    <title>${escapeXml(`${account.displayName} (@${account.handle})`)}</title>`,
+    `    <link>${escapeXml(account.profileUrl)}</link>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <description>${escapeXml(`Truth Social posts tracked for @${account.handle}`)}</description>`,
+    ...(updated ? [`    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`] : []),
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+function buildAtom({ account, posts, selfUrl, updated }) {
+  const entries = posts.map((post) =>
+    [
+      "  <entry>",
+      `    <id>${escapeXml(permalink(post, account))}</id>`,
+      `    <title type="text">${escapeXml(entryTitle(post))}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(permalink(post, account))}"/>`,
+      ...attachments(post).map(
+        (attachment) => `    <link rel="enclosure" type="${attachment.mimeType}" href="${escapeXml(attachment.url)}"/>`
+      ),
+      `    <published>${post.timestamp}</published>`,
+      `    <updated>${post.edited_at || post.timestamp}</updated>`,
+      `    <author><name>${escapeXml(post.reblog?.account?.handle || account.handle)}</name></author>`,
+      ...post.tags.map((tag) => `    <category term="${escapeXml(tag)}"/>`),
+      `    <content type="html">${escapeXml(entryHtml(post))}</content>`,
+      "  </entry>",
+    ].join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${escapeXml(`${account.displayName} (@${account.handle})`)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(account.profileUrl)}"/>`,
+    `  <updated>${(updated || new Date(0)).toISOString()}</updated>`,
+    `  <author><name>${escapeXml(account.displayName)}</name><uri>${escapeXml(account.profileUrl)}</uri></author>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+function buildJsonFeed({ account, posts, selfUrl }) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: `${account.displayName} (@${account.handle})`,
+    home_page_url: account.profileUrl,
+    feed_url: selfUrl,
+    description: `Truth Social posts tracked for @${account.handle}`,
+    authors: [{ name: account.displayName, url: account.profileUrl }],
+    items: posts.map((post) => {
+      const item = {
+        id: post.id,
+        url: permalink(post, account),
+        title: entryTitle(post),
+        content_html: entryHtml(post),
+        date_published: post.timestamp,
+      };
+      if (post.edited_at) item.date_modified = post.edited_at;
+      if (post.reblog?.account?.handle) item.authors = [{ name: post.reblog.account.handle }];
+      if (post.tags.length) item.tags = post.tags;
+      const media = attachments(post);
+      if (media.length) {
+        item.attachments = media.map((attachment) => ({
+          url: attachment.url,
+          mime_type: attachment.mimeType,
+          ...(attachment.description ? { title: attachment.description } : {}),
+        }));
+      }
+      return item;
+    }),
+  };
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+export function buildFeed(format, { account, posts, selfUrl, updated = lastModified(posts) }) {
+  const body = FEED_FORMATS[format].build({
+    account,
+    posts: posts.map((post) => ({ media: [], tags: [], ...post })),
+    selfUrl,
+    updated,
+  });
+  return {
+    body,
+    contentType: FEED_FORMATS[format].contentType,
+    etag: `"${createHash("sha1").update(body).digest("base64url")}"`,
+    lastModified: updated,
+  };
+}
@@ -0,0 +1,97 @@
+const formatters = new Map();
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const LOCAL_INPUT = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+function offsetAt(time, timeZone) {
+  const parts = zonedParts(new Date(time), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+}
+
+export function zonedToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  let guess = wallTime - offsetAt(wallTime, timeZone);
+  const corrected = wallTime - offsetAt(guess, timeZone);
+  if (corrected !== guess) {
+    guess = Math.min(guess, corrected);
+  }
+  return new Date(guess);
+}
+
+export function startOfZonedDay(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return zonedToUtc({ year, month, day }, timeZone);
+}
+
+export function addZonedDays(date, days, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return zonedToUtc(
+    { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() },
+    timeZone
+  );
+}
+
+export function toZonedDateKey(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+export function parseZonedInput(value, timeZone, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const match = String(value).match(LOCAL_INPUT);
+  if (match) {
+    const [, year, month, day, hour, minute, second] = match.map((part) => (part === undefined ? undefined : Number(part)));
+    if (hour === undefined && endOfDay) {
+      return zonedToUtc({ year, month, day: day + 1 }, timeZone);
+    }
+    return zonedToUtc({ year, month, day, hour, minute, second }, timeZone);
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time);
+}
@@ -0,0 +1,199 @@
+import { createFeedParser, isJsonFeed, parseJsonFeed } from "./feed.js";
+import { parseStatusList } from "./posts.js";
+
+const DEFAULT_HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+  Accept:
+    "application/json, application/feed+json, application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.9",
+};
+
+export function parseLinkHeader(header) {
+  if (!header) return {};
+  return header.split(",").reduce((links, part) => {
+    const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
+    if (match) {
+      const [, url, rel] = match;
+      links[rel] = url;
+    }
+    return links;
+  }, {});
+}
+
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function upstreamError(message, response) {
+  const error = new Error(message);
+  if (response) {
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+  }
+  return error;
+}
+
+export function buildHeaders(cookie) {
+  return cookie ? { ...DEFAULT_HEADERS, Cookie: cookie } : { ...DEFAULT_HEADERS };
+}
+
+async function request(url, { headers, validators, timeoutMs, stats, onResponse }) {
+  const cached = validators?.get(url);
+  const conditional = { ...headers };
+  if (cached?.etag) conditional["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) conditional["If-Modified-Since"] = cached.lastModified;
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(url, { headers: conditional, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    onResponse("error", Date.now() - startedAt);
+    throw error;
+  }
+  const latencyMs = Date.now() - startedAt;
+  stats.requests += 1;
+  stats.latencyMs += latencyMs;
+  onResponse(response.status, latencyMs);
+  if (response.status === 304) {
+    return { response, notModified: true };
+  }
+  if (!response.ok) {
+    throw upstreamError(`Feed request failed: ${response.status}`, response);
+  }
+  const etag = response.headers.get("etag");
+  const lastModified = response.headers.get("last-modified");
+  if (validators && (etag || lastModified)) {
+    validators.set(url, { etag, lastModified });
+  }
+  return { response, notModified: false };
+}
+
+function withSinceId(sourceUrl, sinceId) {
+  if (!sinceId) return sourceUrl;
+  const url = new URL(sourceUrl);
+  url.searchParams.set("since_id", sinceId);
+  return url.toString();
+}
+
+function isNewer(id, sinceId) {
+  if (!/^\d+$/.test(id) || !/^\d+$/.test(sinceId)) return true;
+  return BigInt(id) > BigInt(sinceId);
+}
+
+function windowExhausted(items, historyWindowMs) {
+  if (!items.length) return true;
+  const oldest = Math.min(...items.map((item) => Date.parse(item.timestamp)));
+  if (Number.isNaN(oldest)) return true;
+  return Date.now() - oldest >= historyWindowMs;
+}
+
+async function fetchStatusPages(sourceUrl, options) {
+  const collected = [];
+  let pageUrl = withSinceId(sourceUrl, options.sinceId);
+  for (let page = 0; page < options.maxPages && pageUrl; page += 1) {
+    const { response, notModified } = await request(pageUrl, options);
+    if (notModified) {
+      return { items: collected, notModified: page === 0 };
+    }
+    options.stats.pages += 1;
+    const contentType = response.headers.get("content-type") || "";
+    const body = await response.text();
+    if (!contentType.includes("application/json")) {
+      throw upstreamError("Expected JSON response from Truth Social API");
+    }
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      throw upstreamError("Failed to parse Truth Social JSON response");
+    }
+    const parsed = parseStatusList(payload);
+    const items = options.sinceId ? parsed.filter((item) => isNewer(item.id, options.sinceId)) : parsed;
+    if (!items.length) {
+      break;
+    }
+    collected.push(...items);
+    pageUrl = parseLinkHeader(response.headers.get("link")).next;
+    if (items.length < parsed.length || windowExhausted(collected, options.historyWindowMs)) {
+      break;
+    }
+  }
+  return { items: collected, notModified: false };
+}
+
+function parseJsonPayload(body) {
+  const payload = JSON.parse(body);
+  return isJsonFeed(payload) ? parseJsonFeed(payload) : parseStatusList(payload);
+}
+
+async function readFeedBody(response) {
+  const decoder = new TextDecoder();
+  let parser = null;
+  let pending = "";
+  for await (const chunk of response.body) {
+    const text = decoder.decode(chunk, { stream: true });
+    if (parser) {
+      parser.write(text);
+      continue;
+    }
+    pending += text;
+    const first = pending.trimStart()[0];
+    if (first === "<") {
+      parser = createFeedParser();
+      parser.write(pending);
+      pending = "";
+    }
+  }
+  const rest = decoder.decode();
+  if (parser) {
+    parser.write(rest);
+    return parser.end().items;
+  }
+  pending += rest;
+  const trimmed = pending.trimStart();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return parseJsonPayload(trimmed);
+  throw upstreamError("Unrecognized feed format: expected RSS, Atom or JSON Feed");
+}
+
+async function fetchFeed(sourceUrl, options) {
+  const { response, notModified } = await request(sourceUrl, options);
+  if (notModified) {
+    return { items: [], notModified: true };
+  }
+  options.stats.pages += 1;
+  if (response.headers.get("content-type")?.includes("json")) {
+    return { items: parseJsonPayload(await response.text()), notModified: false };
+  }
+  return { items: await readFeedBody(response), notModified: false };
+}
+
+export async function fetchSource(
+  sourceUrl,
+  {
+    headers = DEFAULT_HEADERS,
+    validators,
+    sinceId,
+    historyWindowMs,
+    maxPages = 5,
+    timeoutMs = 15000,
+    onResponse = () => {},
+  }
+) {
+  const stats = { requests: 0, pages: 0, latencyMs: 0 };
+  const options = { headers, validators, sinceId, historyWindowMs, maxPages, timeoutMs, stats, onResponse };
+  const result = sourceUrl.includes("/api/")
+    ? await fetchStatusPages(sourceUrl, options)
+    : await fetchFeed(sourceUrl, options);
+  return {
+    ...result,
+    incremental: Boolean(sourceUrl.includes("/api/") && sinceId),
+    pages: stats.pages,
+    requests: stats.requests,
+    latencyMs: stats.requests ? Math.round(stats.latencyMs / stats.requests) : null,
+  };
+}
@@ -9,11 +9,93 @@ const latestLink = document.getElementById("latest-link");
 const historyChart = document.getElementById("history-chart");
 const historyEmpty = document.getElementById("history-empty");
 const historyList = document.getElementById("history-list");
+const latestAuthor = document.getElementById("latest-author");
+const latestPanel = document.querySelector(".latest-post");
+const latestContext = document.getElementById("latest-context");
+const latestQuote = document.getElementById("latest-quote");
+const latestMedia = document.getElementById("latest-media");
+const latestEngagement = document.getElementById("latest-engagement");
+const latestSparkline = document.querySelector("#latest-sparkline polyline");
+const latestEngagementCounts = document.getElementById("latest-engagement-counts");
+const accountSelect = document.getElementById("account-select");
+const compareToggle = document.getElementById("compare-toggle");
+const comparePanel = document.getElementById("compare-panel");
+const compareList = document.getElementById("compare-list");
+const rangePreset = document.getElementById("range-preset");
+const rangeStart = document.getElementById("range-start");
+const rangeEnd = document.getElementById("range-end");
+const rangeCustom = document.getElementById("range-custom");
+const calendarHeatmap = document.getElementById("calendar-heatmap");
+const activityGrid = document.getElementById("activity-grid");
+const patternsTz = document.getElementById("patterns-tz");
+const editsList = document.getElementById("edits-list");
+const deletionsList = document.getElementById("deletions-list");
+const diffView = document.getElementById("diff-view");
+const staleWarning = document.getElementById("stale-warning");
+const cadenceCallouts = document.getElementById("cadence-callouts");
+const timelineSummary = document.getElementById("timeline-summary");
+const timelineSearch = document.getElementById("timeline-search");
+const timelineKind = document.getElementById("timeline-kind");
+const timelineDate = document.getElementById("timeline-date");
+const timelineClear = document.getElementById("timeline-clear");
+const timelineScroll = document.getElementById("timeline-scroll");
+const timelineList = document.getElementById("timeline-list");
+const timelineStatus = document.getElementById("timeline-status");
+const languageRange = document.getElementById("language-range");
+const languageStyle = document.getElementById("language-style");
+const wordCloud = document.getElementById("word-cloud");
+const hashtagBars = document.getElementById("hashtag-bars");
+const mentionBars = document.getElementById("mention-bars");
+const domainBars = document.getElementById("domain-bars");
+const updatesIndicator = document.querySelector(".updates-indicator");
 
 const API_BASE = window.API_BASE_URL || "http://localhost:3000";
 const POLL_INTERVAL_MS = 45000;
-const COUNT_START_LOCAL = new Date(2026, 1, 6, 18, 0, 0);
-const COUNT_END_LOCAL = new Date(2026, 1, 13, 18, 0, 0);
+const RECONNECT_BASE_MS = 5000;
+const RECONNECT_MAX_MS = 300000;
+const HEALTH_CHECK_MS = 60000;
+const TIMELINE_PAGE_SIZE = 30;
+const TIMELINE_SCROLL_MARGIN = 200;
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const RANGE_PRESETS = {
+  today: "today",
+  week: "this week",
+  "7d": "last 7 days",
+  "30d": "last 30 days",
+  custom: "custom range",
+};
+const DEFAULT_RANGE = "7d";
+const FALLBACK_ACCOUNT = {
+  handle: "realDonaldTrump",
+  displayName: "Donald Trump",
+  profileUrl: "https://truthsocial.com/@realDonaldTrump",
+};
+
+let accounts = [FALLBACK_ACCOUNT];
+let selectedAccount = FALLBACK_ACCOUNT;
+let compareMode = false;
+let countRange = { preset: DEFAULT_RANGE, start: "", end: "" };
+let counterRefreshTimer = null;
+let patternsRefreshTimer = null;
+let changesRefreshTimer = null;
+let languageRefreshTimer = null;
+let cadenceRefreshTimer = null;
+let cadence = null;
+let timeline = { q: "", kind: "all", date: "", hour: null, cursor: null, loading: false, done: false, generation: 0 };
+let timelineSearchTimer = null;
+let selectedRevisionId = null;
+let engagementPostId = null;
+let engagementSeries = [];
+let archivedMediaPostId = null;
+let archivedMedia = new Map();
+let latestPayload = null;
+let historyHours = [];
+let eventSource = null;
+let pollTimer = null;
+let reconnectTimer = null;
+let reconnectDelay = RECONNECT_BASE_MS;
+let compareRefreshTimer = null;
+let accountHealth = null;
 
 const formatTime = (timestamp) =>
   new Date(timestamp).toLocaleTimeString([], {
@@ -57,6 +139,26 @@ const setStatus = (label) => {
   updateStatus.textContent = label;
 };
 
+const formatAge = (timestamp) => {
+  const minutes = Math.round((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.round(hours / 24)} days ago`;
+};
+
+const formatDuration = (ms) => {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+};
+
+const formatClockHour = (hour) =>
+  new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: "numeric" });
+
 const stripHtml = (html) => {
   if (!html) return "";
   const doc = new DOMParser().parseFromString(html, "text/html");
@@ -64,18 +166,233 @@ const stripHtml = (html) => {
 };
 
 
-const updatePostCounter = (hours) => {
+const accountUrl = (account, route) =>
+  `${API_BASE}/accounts/${encodeURIComponent(account.handle)}${route}`;
+
+const readUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    account: params.get("account"),
+    compare: params.get("compare") === "1",
+    range: params.get("range"),
+    start: params.get("start"),
+    end: params.get("end"),
+  };
+};
+
+const writeUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  params.set("account", selectedAccount.handle);
+  if (compareMode) {
+    params.set("compare", "1");
+  } else {
+    params.delete("compare");
+  }
+  params.set("range", countRange.preset);
+  if (countRange.preset === "custom") {
+    params.set("start", countRange.start);
+    params.set("end", countRange.end);
+  } else {
+    params.delete("start");
+    params.delete("end");
+  }
+  window.history.replaceState(null, "", `${window.location.pathname}?${params}`);
+};
+
+const renderAccountOptions = () => {
+  const options = accounts.map((account) => {
+    const option = document.createElement("option");
+    option.value = account.handle;
+    option.textContent = `@${account.handle}`;
+    option.selected = account.handle === selectedAccount.handle;
+    return option;
+  });
+  accountSelect.replaceChildren(...options);
+};
+
+const summarizeRecent = (hours) => {
+  const hourMap = new Map((hours || []).map((entry) => [entry.hour, entry.count]));
+  return getLastHours(24).map((date) => {
+    const hourKey = toUtcHourKey(date);
+    return { hour: hourKey, count: hourMap.get(hourKey) || 0 };
+  });
+};
+
+const toDateInputValue = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const formatDateInput = (value) =>
+  new Date(`${value}T00:00:00`).toLocaleDateString([], { month: "short", day: "numeric" });
+
+const resolveRange = () => {
+  const now = new Date();
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  switch (countRange.preset) {
+    case "today":
+      return { start: midnight.toISOString(), end: new Date(midnight.getTime() + 86400000).toISOString() };
+    case "week": {
+      const monday = new Date(midnight);
+      monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+      const nextMonday = new Date(monday);
+      nextMonday.setDate(nextMonday.getDate() + 7);
+      return { start: monday.toISOString(), end: nextMonday.toISOString() };
+    }
+    case "30d":
+      return { start: new Date(now.getTime() - 30 * 86400000).toISOString(), end: now.toISOString() };
+    case "custom":
+      return { start: countRange.start, end: countRange.end };
+    default:
+      return { start: new Date(now.getTime() - 7 * 86400000).toISOString(), end: now.toISOString() };
+  }
+};
+
+const rangeLabel = () => {
+  if (countRange.preset !== "custom") return RANGE_PRESETS[countRange.preset];
+  const start = formatDateInput(countRange.start);
+  const end = formatDateInput(countRange.end);
+  return start === end ? start : `${start} - ${end}`;
+};
+
+const renderRangeControls = () => {
+  rangePreset.value = countRange.preset;
+  rangeCustom.hidden = countRange.preset !== "custom";
+  rangeStart.value = countRange.start;
+  rangeEnd.value = countRange.end;
+};
+
+const updatePostCounter = (stats) => {
   if (!postCounter) return;
-  const start = COUNT_START_LOCAL.getTime();
-  const end = COUNT_END_LOCAL.getTime();
-  const total = (hours || []).reduce((sum, entry) => {
-    const entryTime = Date.parse(entry.hour);
-    if (!Number.isNaN(entryTime) && entryTime >= start && entryTime <= end) {
-      return sum + entry.count;
+  postCounterLabel.textContent = `${selectedAccount.displayName} # Truth Social posts ${rangeLabel()}`;
+  postCounter.textContent = stats ? stats.count.toString() : "--";
+};
+
+const describeContext = (post) => {
+  if (post.reblog) {
+    const author = post.reblog.account?.handle;
+    return author ? `Retruthed from @${author}` : "Retruth";
+  }
+  if (post.in_reply_to_id) return "Reply";
+  if (post.quote) return "Quote post";
+  return "";
+};
+
+const archivedUrl = (url) => (archivedMedia.has(url) ? `${API_BASE}${archivedMedia.get(url)}` : url);
+
+const renderMedia = (attachments) => {
+  const items = attachments.map((attachment) => {
+    const link = document.createElement("a");
+    link.href = archivedUrl(attachment.url);
+    link.target = "_blank";
+    link.rel = "noreferrer";
+    if (archivedMedia.has(attachment.url)) link.title = "Archived copy";
+    const preview = attachment.preview_url || (attachment.type === "image" ? attachment.url : "");
+    if (preview) {
+      const image = document.createElement("img");
+      image.src = archivedUrl(preview);
+      image.alt = attachment.description || `${attachment.type} attachment`;
+      image.loading = "lazy";
+      link.append(image);
     }
-    return sum;
-  }, 0);
-  postCounter.textContent = total.toString();
+    if (attachment.type !== "image") {
+      const badge = document.createElement("span");
+      badge.className = "media-type";
+      badge.textContent = attachment.type;
+      link.append(badge);
+    }
+    return link;
+  });
+  latestMedia.replaceChildren(...items);
+  latestMedia.hidden = items.length === 0;
+};
+
+const renderPostExtras = (post) => {
+  latestPanel.classList.toggle("is-retruth", Boolean(post?.reblog));
+  const context = post ? describeContext(post) : "";
+  latestContext.textContent = context;
+  latestContext.hidden = !context;
+
+  const quote = post?.quote;
+  if (quote) {
+    const author = document.createElement("strong");
+    author.textContent = quote.account?.handle ? `@${quote.account.handle}` : "Quoted post";
+    latestQuote.replaceChildren(author, stripHtml(quote.content));
+  }
+  latestQuote.hidden = !quote;
+
+  renderMedia(post ? [...(post.media || []), ...(post.reblog?.media || [])] : []);
+};
+
+const engagementTotal = (snapshot) => snapshot.replies + snapshot.reblogs + snapshot.favourites;
+
+const renderEngagement = () => {
+  const last = engagementSeries[engagementSeries.length - 1];
+  latestEngagement.hidden = !last;
+  if (!last) return;
+  const totals = engagementSeries.map(engagementTotal);
+  const min = Math.min(...totals);
+  const span = Math.max(Math.max(...totals) - min, 1);
+  const start = Date.parse(engagementSeries[0].at);
+  const duration = Math.max(Date.parse(last.at) - start, 1);
+  const points = engagementSeries.map((snapshot, index) => {
+    const x = engagementSeries.length === 1 ? 120 : ((Date.parse(snapshot.at) - start) / duration) * 120;
+    const y = 30 - ((totals[index] - min) / span) * 28;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  if (points.length === 1) points.unshift(`0,${points[0].split(",")[1]}`);
+  latestSparkline.setAttribute("points", points.join(" "));
+  latestEngagementCounts.textContent = `${last.replies} replies · ${last.reblogs} retruths · ${last.favourites} likes`;
+};
+
+const refreshEngagement = async (postId) => {
+  engagementPostId = postId;
+  if (!postId) {
+    engagementSeries = [];
+    renderEngagement();
+    return;
+  }
+  try {
+    const payload = await fetchJson(
+      accountUrl(selectedAccount, `/posts/${encodeURIComponent(postId)}/engagement`),
+      "engagement"
+    );
+    if (engagementPostId !== postId) return;
+    engagementSeries = payload.series || [];
+  } catch (error) {
+    console.error(error);
+    engagementSeries = [];
+  }
+  renderEngagement();
+};
+
+const refreshArchivedMedia = async (post) => {
+  archivedMediaPostId = post?.id || null;
+  archivedMedia = new Map();
+  if (!post || !(post.media?.length || post.reblog?.media?.length)) return;
+  try {
+    const payload = await fetchJson(
+      accountUrl(selectedAccount, `/posts/${encodeURIComponent(post.id)}/media`),
+      "archived media"
+    );
+    if (archivedMediaPostId !== post.id) return;
+    handleMediaArchived({ account: selectedAccount.handle, id: post.id, media: payload.media });
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+const handleMediaArchived = (data) => {
+  if (data.account !== selectedAccount.handle || data.id !== archivedMediaPostId) return;
+  archivedMedia = new Map(data.media.filter((item) => item.href).map((item) => [item.url, item.href]));
+  if (latestPayload?.latest?.id === data.id) renderPostExtras(latestPayload.latest);
+};
+
+const handleEngagementUpdated = (data) => {
+  if (data.account !== selectedAccount.handle || data.id !== engagementPostId) return;
+  engagementSeries = [...engagementSeries, data.snapshot];
+  renderEngagement();
 };
 
 const renderLatest = (payload) => {
@@ -84,7 +401,11 @@ const renderLatest = (payload) => {
     latestHeadline.textContent = "No post data yet";
     latestBody.textContent = "Once the backend fetches the feed, the latest post will appear here.";
     latestId.textContent = "--";
-    latestLink.href = "https://truthsocial.com/@realDonaldTrump";
+    latestAuthor.textContent = `@${selectedAccount.handle}`;
+    latestLink.href = selectedAccount.profileUrl;
+    refreshArchivedMedia(null);
+    renderPostExtras(null);
+    refreshEngagement(null);
     return;
   }
 
@@ -93,10 +414,14 @@ const renderLatest = (payload) => {
     latest.url ||
     (typeof latest.id === "string" && latest.id.startsWith("http")
       ? latest.id
-      : `https://truthsocial.com/@realDonaldTrump/${latest.id}`);
-  const contentText = stripHtml(latest.content);
+      : `${selectedAccount.profileUrl}/${latest.id}`);
+  latestAuthor.textContent = `@${selectedAccount.handle}`;
+  const contentText = stripHtml(latest.reblog ? latest.reblog.content : latest.content);
   latestTimestamp.textContent = `As of ${formatTime(latest.timestamp)}`;
-  latestHeadline.textContent = "Latest Truth Social post";
+  latestHeadline.textContent = latest.reblog ? "Latest retruth" : "Latest Truth Social post";
+  if (latest.id !== archivedMediaPostId) refreshArchivedMedia(latest);
+  renderPostExtras(latest);
+  if (latest.id !== engagementPostId) refreshEngagement(latest.id);
   latestBody.textContent =
     contentText ||
     `Tracking post timestamps every polling cycle. Last capture at ${formatTime(
@@ -115,14 +440,8 @@ const renderHistory = (payload) => {
   historyChart.innerHTML = "";
   historyList.innerHTML = "";
   const hours = payload?.hours || [];
-  const hourMap = new Map(hours.map((entry) => [entry.hour, entry.count]));
+  const recent = summarizeRecent(hours);
 
-  const recent = getLastHours(24).map((date) => {
-    const hourKey = toUtcHourKey(date);
-    return { hour: hourKey, count: hourMap.get(hourKey) || 0 };
-  });
-
-  updatePostCounter(hours);
 
   const hasRecent = recent.some((entry) => entry.count > 0);
   historyEmpty.textContent = "No posts in the last 24 hours.";
@@ -134,6 +453,17 @@ const renderHistory = (payload) => {
     const bar = document.createElement("div");
     bar.className = "bar";
     bar.style.setProperty("--value", `${Math.round((entry.count / maxCount) * 100)}%`);
+    bar.classList.toggle("is-selected", entry.hour === timeline.hour);
+    bar.tabIndex = 0;
+    bar.setAttribute("role", "button");
+    bar.setAttribute("aria-label", `Show posts from ${formatHourWithDate(entry.hour)}`);
+    bar.addEventListener("click", () => filterTimelineByHour(entry.hour));
+    bar.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        filterTimelineByHour(entry.hour);
+      }
+    });
 
     const label = document.createElement("span");
     label.textContent = formatHour(entry.hour);
@@ -162,37 +492,899 @@ const renderHistory = (payload) => {
   }
 };
 
-const fetchLatest = async () => {
-  const response = await fetch(`${API_BASE}/latest`);
+const timelineFiltered = () => Boolean(timeline.q || timeline.date || timeline.hour);
+
+const timelineParams = () => {
+  const params = new URLSearchParams({ order: "desc", limit: String(TIMELINE_PAGE_SIZE) });
+  if (timeline.q) params.set("q", timeline.q);
+  if (timeline.kind !== "all") params.set("is_retruth", String(timeline.kind === "retruth"));
+  if (timeline.hour) {
+    params.set("since", timeline.hour);
+    params.set("until", new Date(new Date(timeline.hour).getTime() + 3599999).toISOString());
+  } else if (timeline.date) {
+    const [year, month, day] = timeline.date.split("-").map(Number);
+    params.set("until", new Date(new Date(year, month - 1, day + 1).getTime() - 1).toISOString());
+  }
+  if (timeline.cursor) params.set("cursor", timeline.cursor);
+  return params;
+};
+
+const describeTimeline = () => {
+  const kind = { all: "All posts", original: "Original posts", retruth: "Retruths" }[timeline.kind];
+  const parts = [kind];
+  if (timeline.hour) parts.push(`from ${formatHourWithDate(timeline.hour)}`);
+  else if (timeline.date) parts.push(`up to ${formatDateInput(timeline.date)}`);
+  if (timeline.q) parts.push(`matching "${timeline.q}"`);
+  return parts.join(" ");
+};
+
+const timelineRow = (post) => {
+  const row = document.createElement("article");
+  row.className = "timeline-row";
+  row.dataset.id = post.id;
+  row.classList.toggle("is-retruth", Boolean(post.reblog));
+  row.classList.toggle("is-deleted", Boolean(post.deleted_at));
+
+  const header = document.createElement("header");
+  const time = document.createElement("time");
+  time.dateTime = post.timestamp;
+  time.textContent = formatHourWithDate(post.timestamp);
+  header.append(time);
+  const context = describeContext(post);
+  const flags = [context, post.edited_at ? "Edited" : "", post.deleted_at ? "Deleted" : ""].filter(Boolean);
+  if (flags.length) {
+    const label = document.createElement("span");
+    label.className = "context";
+    label.textContent = flags.join(" · ");
+    header.append(label);
+  }
+  const link = document.createElement("a");
+  link.href = post.url || `${selectedAccount.profileUrl}/${post.id}`;
+  link.target = "_blank";
+  link.rel = "noreferrer";
+  link.textContent = "Open original";
+  header.append(link);
+
+  const body = document.createElement("p");
+  const media = [...(post.media || []), ...(post.reblog?.media || [])];
+  body.textContent =
+    stripHtml(post.content) ||
+    stripHtml(post.reblog?.content) ||
+    (media.length ? `${media.length} media ${media.length === 1 ? "attachment" : "attachments"}` : "No text");
+  row.append(header, body);
+  return row;
+};
+
+const renderTimelineStatus = (message) => {
+  timelineStatus.textContent = message;
+  timelineSummary.textContent = describeTimeline();
+  timelineClear.hidden = !timelineFiltered() && timeline.kind === "all";
+};
+
+const loadTimeline = async ({ reset = false } = {}) => {
+  if (reset) {
+    timeline = { ...timeline, cursor: null, loading: false, done: false, generation: timeline.generation + 1 };
+    timelineList.replaceChildren();
+    timelineScroll.scrollTop = 0;
+  }
+  if (timeline.loading || timeline.done) return;
+  const { generation } = timeline;
+  const account = selectedAccount;
+  timeline.loading = true;
+  renderTimelineStatus("Loading posts…");
+  try {
+    const payload = await fetchJson(accountUrl(account, `/posts?${timelineParams()}`), "timeline");
+    if (generation !== timeline.generation || account !== selectedAccount) return;
+    timelineList.append(...payload.posts.map(timelineRow));
+    timeline.cursor = payload.nextCursor;
+    timeline.done = !payload.nextCursor;
+    timeline.loading = false;
+    if (!timeline.done) {
+      renderTimelineStatus("");
+      maybeLoadMoreTimeline();
+    } else {
+      renderTimelineStatus(timelineList.childElementCount ? "End of timeline." : "No posts match these filters.");
+    }
+  } catch (error) {
+    console.error(error);
+    if (generation !== timeline.generation) return;
+    timeline.loading = false;
+    renderTimelineStatus("Failed to load posts.");
+  }
+};
+
+const maybeLoadMoreTimeline = () => {
+  const remaining = timelineScroll.scrollHeight - timelineScroll.scrollTop - timelineScroll.clientHeight;
+  if (remaining < TIMELINE_SCROLL_MARGIN) loadTimeline();
+};
+
+const filterTimelineByHour = (hour) => {
+  timeline.hour = timeline.hour === hour ? null : hour;
+  timeline.date = "";
+  timelineDate.value = "";
+  renderHistory({ hours: historyHours });
+  loadTimeline({ reset: true });
+  if (timeline.hour) timelineScroll.closest(".timeline").scrollIntoView({ behavior: "smooth", block: "start" });
+};
+
+const prependTimelinePost = (post) => {
+  if (timelineFiltered() || timelineList.querySelector(`[data-id="${CSS.escape(post.id)}"]`)) return;
+  if (timeline.kind !== "all" && Boolean(post.reblog) !== (timeline.kind === "retruth")) return;
+  timelineList.prepend(timelineRow(post));
+};
+
+const replaceTimelinePost = (post) => {
+  const existing = timelineList.querySelector(`[data-id="${CSS.escape(post.id)}"]`);
+  existing?.replaceWith(timelineRow(post));
+};
+
+const renderCompare = (rows) => {
+  comparePanel.hidden = !compareMode;
+  if (!compareMode) return;
+  const maxCount = Math.max(
+    ...rows.flatMap(({ recent }) => recent.map((entry) => entry.count)),
+    1
+  );
+  const elements = rows.map(({ account, latest, recent }) => {
+    const row = document.createElement("div");
+    row.className = "compare-row";
+    row.classList.toggle("is-selected", account.handle === selectedAccount.handle);
+
+    const identity = document.createElement("div");
+    const handle = document.createElement("strong");
+    handle.textContent = `@${account.handle}`;
+    const lastSeen = document.createElement("small");
+    lastSeen.textContent = latest?.latest
+      ? `Last post ${formatHourWithDate(latest.latest.timestamp)}`
+      : "No posts yet";
+    identity.append(handle, lastSeen);
+
+    const spark = document.createElement("div");
+    spark.className = "compare-spark";
+    for (const entry of recent) {
+      const tick = document.createElement("span");
+      tick.style.setProperty("--value", `${Math.round((entry.count / maxCount) * 100)}%`);
+      tick.title = `${formatHourWithDate(entry.hour)}: ${entry.count}`;
+      spark.append(tick);
+    }
+
+    const total = document.createElement("p");
+    total.className = "compare-total";
+    total.textContent = recent.reduce((sum, entry) => sum + entry.count, 0).toString();
+
+    row.append(identity, spark, total);
+    return row;
+  });
+  compareList.replaceChildren(...elements);
+};
+
+const fetchAccounts = async () => {
+  const response = await fetch(`${API_BASE}/accounts`);
+  if (!response.ok) {
+    throw new Error("Failed to load accounts");
+  }
+  return response.json();
+};
+
+const fetchLatest = async (account) => {
+  const response = await fetch(accountUrl(account, "/latest"));
   if (!response.ok) {
     throw new Error("Failed to load latest");
   }
   return response.json();
 };
 
-const fetchHistory = async () => {
-  const response = await fetch(`${API_BASE}/history/hourly`);
+const fetchHistory = async (account) => {
+  const response = await fetch(accountUrl(account, "/history/hourly"));
   if (!response.ok) {
     throw new Error("Failed to load history");
   }
   return response.json();
 };
 
-const refresh = async () => {
-  try {
-    const [latest, history] = await Promise.all([fetchLatest(), fetchHistory()]);
-    renderLatest(latest);
-    renderHistory(history);
-    if (latest.polledAt) {
-      setStatus(`Updated ${formatTime(latest.polledAt)}`);
+const fetchRangeStats = async (account) => {
+  const { start, end } = resolveRange();
+  const params = new URLSearchParams({ start, end, tz: LOCAL_TIME_ZONE });
+  const response = await fetch(accountUrl(account, `/stats/range?${params}`));
+  if (!response.ok) {
+    throw new Error("Failed to load range stats");
+  }
+  return response.json();
+};
+
+const refreshCounter = () => {
+  clearTimeout(counterRefreshTimer);
+  counterRefreshTimer = setTimeout(async () => {
+    try {
+      updatePostCounter(await fetchRangeStats(selectedAccount));
+    } catch (error) {
+      console.error(error);
+      updatePostCounter(null);
+    }
+  }, 250);
+};
+
+const fetchPatterns = async (account) => {
+  const tz = encodeURIComponent(LOCAL_TIME_ZONE);
+  const [daily, heatmap] = await Promise.all(
+    [`/history/daily?days=182&tz=${tz}`, `/history/heatmap?days=28&tz=${tz}`].map(async (route) => {
+      const response = await fetch(accountUrl(account, route));
+      if (!response.ok) {
+        throw new Error("Failed to load activity patterns");
+      }
+      return response.json();
+    })
+  );
+  return { daily, heatmap };
+};
+
+const heatCell = (count, maxCount, title) => {
+  const cell = document.createElement("span");
+  cell.className = "heat-cell";
+  cell.style.setProperty("--level", count ? (0.2 + (0.8 * count) / maxCount).toFixed(2) : "0");
+  cell.title = title;
+  return cell;
+};
+
+const renderPatterns = ({ daily, heatmap }) => {
+  patternsTz.textContent = daily.tz;
+  const days = daily.days || [];
+  const maxDaily = Math.max(...days.map((day) => day.count), 1);
+  const calendarCells = days.map((day) => {
+    const weekday = (new Date(`${day.date}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const cell = heatCell(day.count, maxDaily, `${day.date}: ${day.count} ${day.count === 1 ? "post" : "posts"}`);
+    cell.style.gridRow = String(weekday + 1);
+    return cell;
+  });
+  calendarHeatmap.replaceChildren(...calendarCells);
+
+  const maxHourly = Math.max(...heatmap.matrix.flat(), 1);
+  const gridCells = [document.createElement("span")];
+  for (let hour = 0; hour < 24; hour += 1) {
+    const label = document.createElement("span");
+    label.className = "axis";
+    label.textContent = hour % 6 === 0 ? String(hour).padStart(2, "0") : "";
+    gridCells.push(label);
+  }
+  heatmap.matrix.forEach((row, dayIndex) => {
+    const label = document.createElement("span");
+    label.className = "axis";
+    label.textContent = heatmap.days[dayIndex];
+    gridCells.push(label);
+    row.forEach((count, hour) => {
+      gridCells.push(
+        heatCell(count, maxHourly, `${heatmap.days[dayIndex]} ${String(hour).padStart(2, "0")}:00 – ${count}`)
+      );
+    });
+  });
+  activityGrid.replaceChildren(...gridCells);
+};
+
+const refreshPatterns = () => {
+  clearTimeout(patternsRefreshTimer);
+  patternsRefreshTimer = setTimeout(async () => {
+    const account = selectedAccount;
+    try {
+      const patterns = await fetchPatterns(account);
+      if (account === selectedAccount) renderPatterns(patterns);
+    } catch (error) {
+      console.error(error);
+    }
+  }, 250);
+};
+
+const fetchJson = async (url, label) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${label}`);
+  }
+  return response.json();
+};
+
+const diffWords = (before, after) => {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      parts.push({ type: "same", text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      parts.push({ type: "ins", text: b[j] });
+      j += 1;
     } else {
-      setStatus("Awaiting poll");
+      parts.push({ type: "del", text: a[i] });
+      i += 1;
     }
+  }
+  return parts;
+};
+
+const renderDiff = (payload) => {
+  const texts = payload.revisions.map((revision) => stripHtml(revision.content));
+  const steps = [];
+  for (let index = 1; index < texts.length; index += 1) {
+    const step = document.createElement("div");
+    step.className = "diff-step";
+    const label = document.createElement("small");
+    const changedAt = payload.revisions[index].edited_at || payload.revisions[index - 1].superseded_at;
+    label.textContent = `Revision ${index} · ${changedAt ? formatHourWithDate(changedAt) : "unknown time"}`;
+    step.append(label);
+    for (const part of diffWords(texts[index - 1], texts[index])) {
+      if (part.type === "same") {
+        step.append(part.text);
+      } else {
+        const marker = document.createElement(part.type);
+        marker.textContent = part.text;
+        step.append(marker);
+      }
+    }
+    steps.push(step);
+  }
+  diffView.replaceChildren(...steps);
+  diffView.hidden = steps.length === 0;
+};
+
+const showRevisions = async (postId) => {
+  selectedRevisionId = postId;
+  for (const row of editsList.querySelectorAll(".change-row")) {
+    row.classList.toggle("is-selected", row.dataset.id === postId);
+  }
+  try {
+    const payload = await fetchJson(
+      accountUrl(selectedAccount, `/posts/${encodeURIComponent(postId)}/revisions`),
+      "revisions"
+    );
+    if (selectedRevisionId === postId) renderDiff(payload);
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+const changeRow = (post, detail, tagName) => {
+  const row = document.createElement(tagName);
+  row.className = "change-row";
+  row.dataset.id = post.id;
+  const text = document.createElement("span");
+  text.textContent = stripHtml(post.content) || post.id;
+  const meta = document.createElement("small");
+  meta.textContent = detail;
+  row.append(text, meta);
+  return row;
+};
+
+const renderChangeList = (list, rows, emptyLabel) => {
+  if (!rows.length) {
+    const empty = document.createElement("p");
+    empty.className = "change-empty";
+    empty.textContent = emptyLabel;
+    list.replaceChildren(empty);
+    return;
+  }
+  list.replaceChildren(...rows);
+};
+
+const renderChanges = ({ edits, deletions }) => {
+  renderChangeList(
+    editsList,
+    edits.map((post) => {
+      const row = changeRow(post, `Edited ${formatHourWithDate(post.edited_at)}`, "button");
+      row.type = "button";
+      row.classList.toggle("is-selected", post.id === selectedRevisionId);
+      row.addEventListener("click", () => showRevisions(post.id));
+      return row;
+    }),
+    "No edits detected yet."
+  );
+  renderChangeList(
+    deletionsList,
+    deletions.map((post) =>
+      changeRow(
+        post,
+        `Posted ${formatHourWithDate(post.timestamp)} · gone since ${formatHourWithDate(post.deleted_at)}`,
+        "div"
+      )
+    ),
+    "No deletions detected yet."
+  );
+  if (!edits.some((post) => post.id === selectedRevisionId)) {
+    selectedRevisionId = null;
+    diffView.hidden = true;
+  }
+};
+
+const refreshChanges = () => {
+  clearTimeout(changesRefreshTimer);
+  changesRefreshTimer = setTimeout(async () => {
+    const account = selectedAccount;
+    try {
+      const [edited, deleted] = await Promise.all([
+        fetchJson(accountUrl(account, "/posts?is_edited=true&order=desc&limit=10"), "edits"),
+        fetchJson(accountUrl(account, "/deletions?limit=10"), "deletions"),
+      ]);
+      if (account !== selectedAccount) return;
+      renderChanges({ edits: edited.posts, deletions: deleted.deletions });
+      if (selectedRevisionId) showRevisions(selectedRevisionId);
+    } catch (error) {
+      console.error(error);
+    }
+  }, 250);
+};
+
+const fetchLanguage = async (account) => {
+  const { start, end } = resolveRange();
+  const params = new URLSearchParams({ start, end, tz: LOCAL_TIME_ZONE });
+  const [terms, hashtags, mentions, domains] = await Promise.all([
+    fetchJson(accountUrl(account, `/analytics/terms?${params}&top=60`), "terms"),
+    fetchJson(accountUrl(account, `/analytics/hashtags?${params}&top=8`), "hashtags"),
+    fetchJson(accountUrl(account, `/analytics/mentions?${params}&top=8`), "mentions"),
+    fetchJson(accountUrl(account, `/analytics/domains?${params}&top=8`), "domains"),
+  ]);
+  return { terms, hashtags: hashtags.hashtags, mentions: mentions.mentions, domains: domains.domains };
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(value && value < 0.1 ? 1 : 0)}%`;
+
+const renderTermBars = (list, rows, key, prefix, emptyLabel) => {
+  const max = Math.max(...rows.map((row) => row.count), 1);
+  renderChangeList(
+    list,
+    rows.map((row) => {
+      const bar = document.createElement("div");
+      bar.className = "term-bar";
+      const label = document.createElement("span");
+      label.className = "label";
+      label.textContent = `${prefix}${row[key]}`;
+      label.title = `${row.posts} ${row.posts === 1 ? "post" : "posts"}`;
+      const count = document.createElement("span");
+      count.className = "count";
+      count.textContent = row.count.toString();
+      const track = document.createElement("span");
+      track.className = "track";
+      const fill = document.createElement("span");
+      fill.className = "fill";
+      fill.style.width = `${(row.count / max) * 100}%`;
+      track.append(fill);
+      bar.append(label, count, track);
+      return bar;
+    }),
+    emptyLabel
+  );
+};
+
+const renderLanguage = ({ terms, hashtags, mentions, domains }) => {
+  languageRange.textContent = `${terms.posts} ${terms.posts === 1 ? "post" : "posts"}, ${rangeLabel()}`;
+  const { style } = terms;
+  languageStyle.replaceChildren(
+    ...[
+      ["Words", style.words.toLocaleString()],
+      ["All-caps words", formatPercent(style.capsRatio)],
+      ["Exclamations per post", style.exclamationsPerPost.toFixed(1)],
+      ["Mostly all-caps posts", style.mostlyCapsPosts.toString()],
+    ].map(([label, value]) => {
+      const item = document.createElement("div");
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const detail = document.createElement("dd");
+      detail.textContent = value;
+      item.append(term, detail);
+      return item;
+    })
+  );
+
+  const max = Math.max(...terms.terms.map((entry) => entry.count), 1);
+  const min = Math.min(...terms.terms.map((entry) => entry.count), max);
+  const words = [...terms.terms]
+    .sort((a, b) => a.term.localeCompare(b.term))
+    .map((entry) => {
+      const word = document.createElement("span");
+      word.textContent = entry.term;
+      word.title = `${entry.count} uses in ${entry.posts} ${entry.posts === 1 ? "post" : "posts"}`;
+      word.style.setProperty("--weight", max === min ? "0.5" : ((entry.count - min) / (max - min)).toFixed(2));
+      return word;
+    });
+  renderChangeList(wordCloud, words, "No words posted in this range.");
+  renderTermBars(hashtagBars, hashtags, "tag", "#", "No hashtags.");
+  renderTermBars(mentionBars, mentions, "handle", "@", "No mentions.");
+  renderTermBars(domainBars, domains, "domain", "", "No links.");
+};
+
+const refreshLanguage = () => {
+  clearTimeout(languageRefreshTimer);
+  languageRefreshTimer = setTimeout(async () => {
+    const account = selectedAccount;
+    try {
+      const language = await fetchLanguage(account);
+      if (account === selectedAccount) renderLanguage(language);
+    } catch (error) {
+      console.error(error);
+    }
+  }, 250);
+};
+
+const renderCadence = () => {
+  if (!cadence || cadence.account !== selectedAccount.handle) {
+    cadenceCallouts.replaceChildren();
+    return;
+  }
+  const callouts = [];
+  const { silences, streaks, bursts, activeHours, nextPost, lastPostAt } = cadence;
+  if (lastPostAt) {
+    const current = Date.now() - new Date(lastPostAt).getTime();
+    const longest = Math.max(silences.longestThisWeek?.durationMs || 0, current);
+    callouts.push([`Current silence: ${formatDuration(current)} (longest this week: ${formatDuration(longest)})`]);
+  }
+  if (streaks.current) {
+    const days = `${streaks.current.days} ${streaks.current.days === 1 ? "day" : "days"}`;
+    callouts.push([`Posting streak: ${days} (longest: ${streaks.longest.days})`]);
+  }
+  const [burst] = bursts.recent;
+  if (burst) {
+    const when = formatHourWithDate(burst.start);
+    callouts.push([`Last burst: ${burst.posts} posts in ${formatDuration(burst.durationMs)}, ${when}`]);
+  }
+  if (activeHours.window) {
+    const { startHour, endHour, share } = activeHours.window;
+    const hours = `${formatClockHour(startHour)} - ${formatClockHour(endHour)}`;
+    callouts.push([`Active hours: ${hours} (${Math.round(share * 100)}% of posts)`]);
+  }
+  if (nextPost?.overdue) {
+    callouts.push(["Next post: overdue, this silence is longer than any recent gap", "is-overdue"]);
+  } else if (nextPost) {
+    const likely = `${formatHourWithDate(nextPost.earliest)} - ${formatHourWithDate(nextPost.latest)}`;
+    callouts.push([`Next post expected around ${formatHourWithDate(nextPost.expectedAt)} (likely ${likely})`]);
+  }
+  cadenceCallouts.replaceChildren(
+    ...callouts.map(([text, className]) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      if (className) item.className = className;
+      return item;
+    })
+  );
+};
+
+const refreshCadence = () => {
+  clearTimeout(cadenceRefreshTimer);
+  cadenceRefreshTimer = setTimeout(async () => {
+    const account = selectedAccount;
+    try {
+      const params = new URLSearchParams({ tz: LOCAL_TIME_ZONE });
+      const payload = await fetchJson(accountUrl(account, `/insights/cadence?${params}`), "cadence");
+      if (account !== selectedAccount) return;
+      cadence = payload;
+      renderCadence();
+    } catch (error) {
+      console.error(error);
+    }
+  }, 250);
+};
+
+const fetchCompare = () =>
+  Promise.all(
+    accounts.map(async (account) => {
+      const [latest, history] = await Promise.all([fetchLatest(account), fetchHistory(account)]);
+      return { account, latest, recent: summarizeRecent(history.hours) };
+    })
+  );
+
+const renderStatus = () => {
+  const suffix = eventSource && eventSource.readyState === EventSource.OPEN ? " · live" : "";
+  if (latestPayload?.polledAt) {
+    setStatus(`Updated ${formatTime(latestPayload.polledAt)}${suffix}`);
+  } else {
+    setStatus(`Awaiting poll${suffix}`);
+  }
+};
+
+const isStale = (health) => {
+  if (!health) return false;
+  if (health.stale) return true;
+  if (!health.lastSuccessAt) return false;
+  return Date.now() - new Date(health.lastSuccessAt).getTime() > health.staleAfterMs;
+};
+
+const renderHealth = () => {
+  const paused = accountHealth?.status === "paused";
+  const stale = paused || isStale(accountHealth);
+  updatesIndicator.classList.toggle("is-stale", stale);
+  staleWarning.hidden = !stale;
+  if (!stale) return;
+  const since = accountHealth.lastSuccessAt
+    ? `the last successful poll was ${formatAge(accountHealth.lastSuccessAt)}`
+    : "no poll has succeeded yet";
+  const failure = accountHealth.lastError
+    ? ` (${accountHealth.consecutiveFailures} consecutive failures, last error: ${accountHealth.lastError.message})`
+    : "";
+  staleWarning.textContent = paused ? `Polling is paused: ${since}.` : `Data may be stale: ${since}${failure}.`;
+};
+
+const handleHealthUpdated = (data) => {
+  if (data.account !== selectedAccount.handle) return;
+  accountHealth = data;
+  if (data.lastSuccessAt) {
+    latestPayload = { ...latestPayload, polledAt: data.lastSuccessAt };
+  }
+  renderHealth();
+  renderStatus();
+};
+
+const refresh = async () => {
+  try {
+    const account = selectedAccount;
+    const [latest, history, rangeStats, compareRows] = await Promise.all([
+      fetchLatest(account),
+      fetchHistory(account),
+      fetchRangeStats(account),
+      compareMode ? fetchCompare() : Promise.resolve([]),
+    ]);
+    if (account !== selectedAccount) return;
+    updatePostCounter(rangeStats);
+    latestPayload = latest;
+    accountHealth = latest.health || null;
+    historyHours = history.hours || [];
+    renderLatest(latestPayload);
+    renderHistory({ hours: historyHours });
+    renderCompare(compareRows);
+    renderStatus();
+    renderHealth();
+    refreshPatterns();
+    refreshLanguage();
+    refreshCadence();
+    refreshChanges();
   } catch (error) {
     console.error(error);
     setStatus("Backend unavailable");
   }
 };
 
-refresh();
-setInterval(refresh, POLL_INTERVAL_MS);
+const refreshCompare = () => {
+  if (!compareMode) return;
+  clearTimeout(compareRefreshTimer);
+  compareRefreshTimer = setTimeout(async () => {
+    try {
+      renderCompare(await fetchCompare());
+    } catch (error) {
+      console.error(error);
+    }
+  }, 1000);
+};
+
+const mergeHours = (updates) => {
+  const hourMap = new Map(historyHours.map((entry) => [entry.hour, entry.count]));
+  for (const entry of updates) {
+    hourMap.set(entry.hour, entry.count);
+  }
+  historyHours = Array.from(hourMap.entries())
+    .map(([hour, count]) => ({ hour, count }))
+    .sort((a, b) => new Date(a.hour) - new Date(b.hour));
+};
+
+const handlePostCreated = (data) => {
+  if (data.account !== selectedAccount.handle) {
+    refreshCompare();
+    return;
+  }
+  const { post } = data;
+  prependTimelinePost(post);
+  const current = latestPayload?.latest;
+  if (!current || new Date(post.timestamp) > new Date(current.timestamp)) {
+    latestPayload = { ...latestPayload, latest: post };
+    renderLatest(latestPayload);
+  }
+  const hourKey = toUtcHourKey(post.timestamp);
+  const existing = historyHours.find((entry) => entry.hour === hourKey);
+  mergeHours([{ hour: hourKey, count: (existing?.count || 0) + 1 }]);
+  renderHistory({ hours: historyHours });
+  refreshCounter();
+  refreshCompare();
+};
+
+const handleStatsUpdated = (data) => {
+  if (data.account !== selectedAccount.handle) {
+    refreshCompare();
+    return;
+  }
+  latestPayload = {
+    ...latestPayload,
+    latest: data.latest,
+    totalPosts: data.totalPosts,
+    polledAt: data.polledAt,
+  };
+  mergeHours(data.hours || []);
+  renderLatest(latestPayload);
+  renderHistory({ hours: historyHours });
+  renderStatus();
+  refreshCounter();
+  refreshPatterns();
+  refreshLanguage();
+  refreshCadence();
+  refreshCompare();
+};
+
+const handlePostChanged = (data) => {
+  if (data.account === selectedAccount.handle) replaceTimelinePost(data.post);
+};
+
+const startPolling = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(refresh, POLL_INTERVAL_MS);
+};
+
+const stopPolling = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+const parseEvent = (handler) => (event) => {
+  try {
+    handler(JSON.parse(event.data));
+  } catch (error) {
+    console.error("Ignoring malformed event", error);
+  }
+};
+
+const connectEvents = () => {
+  clearTimeout(reconnectTimer);
+  eventSource?.close();
+  eventSource = null;
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+
+  const url = compareMode
+    ? `${API_BASE}/events`
+    : `${API_BASE}/events?account=${encodeURIComponent(selectedAccount.handle)}`;
+  const source = new EventSource(url);
+  eventSource = source;
+
+  source.addEventListener("open", () => {
+    reconnectDelay = RECONNECT_BASE_MS;
+    stopPolling();
+    refresh();
+  });
+  source.addEventListener("error", () => {
+    startPolling();
+    renderStatus();
+    if (source.readyState === EventSource.CLOSED && eventSource === source) {
+      reconnectTimer = setTimeout(connectEvents, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+    }
+  });
+  source.addEventListener("post.created", parseEvent(handlePostCreated));
+  source.addEventListener("stats.updated", parseEvent(handleStatsUpdated));
+  source.addEventListener("engagement.updated", parseEvent(handleEngagementUpdated));
+  source.addEventListener("post.edited", parseEvent(handlePostChanged));
+  source.addEventListener("post.deleted", parseEvent(handlePostChanged));
+  source.addEventListener("health.updated", parseEvent(handleHealthUpdated));
+  source.addEventListener("media.archived", parseEvent(handleMediaArchived));
+  source.addEventListener(
+    "post.edited",
+    parseEvent((data) => {
+      if (data.account === selectedAccount.handle) refreshChanges();
+    })
+  );
+  source.addEventListener(
+    "post.deleted",
+    parseEvent((data) => {
+      if (data.account === selectedAccount.handle) refreshChanges();
+    })
+  );
+};
+
+const init = async () => {
+  const urlState = readUrlState();
+  try {
+    const payload = await fetchAccounts();
+    if (payload.accounts?.length) {
+      accounts = payload.accounts;
+    }
+  } catch (error) {
+    console.error(error);
+  }
+  selectedAccount =
+    accounts.find((account) => account.handle.toLowerCase() === urlState.account?.toLowerCase()) ||
+    accounts[0];
+  compareMode = urlState.compare && accounts.length > 1;
+  compareToggle.checked = compareMode;
+  compareToggle.disabled = accounts.length < 2;
+  const today = toDateInputValue(new Date());
+  countRange = {
+    preset: RANGE_PRESETS[urlState.range] ? urlState.range : DEFAULT_RANGE,
+    start: urlState.start || today,
+    end: urlState.end || today,
+  };
+  if (countRange.preset === "custom" && countRange.end < countRange.start) {
+    countRange.end = countRange.start;
+  }
+  renderRangeControls();
+  renderAccountOptions();
+  await refresh();
+  loadTimeline({ reset: true });
+  startPolling();
+  connectEvents();
+  setInterval(() => {
+    renderHealth();
+    renderCadence();
+  }, HEALTH_CHECK_MS);
+};
+
+accountSelect.addEventListener("change", () => {
+  selectedAccount =
+    accounts.find((account) => account.handle === accountSelect.value) || selectedAccount;
+  writeUrlState();
+  setStatus("Refreshing now");
+  timeline.hour = null;
+  refresh();
+  loadTimeline({ reset: true });
+  connectEvents();
+});
+
+const handleRangeChange = () => {
+  countRange = {
+    preset: rangePreset.value,
+    start: rangeStart.value || countRange.start,
+    end: rangeEnd.value || countRange.end,
+  };
+  if (countRange.end < countRange.start) {
+    countRange.end = countRange.start;
+  }
+  renderRangeControls();
+  writeUrlState();
+  refreshCounter();
+  refreshLanguage();
+};
+
+rangePreset.addEventListener("change", handleRangeChange);
+rangeStart.addEventListener("change", handleRangeChange);
+rangeEnd.addEventListener("change", handleRangeChange);
+
+compareToggle.addEventListener("change", () => {
+  compareMode = compareToggle.checked;
+  writeUrlState();
+  refresh();
+  connectEvents();
+});
+
+timelineSearch.addEventListener("input", () => {
+  clearTimeout(timelineSearchTimer);
+  timelineSearchTimer = setTimeout(() => {
+    timeline.q = timelineSearch.value.trim();
+    loadTimeline({ reset: true });
+  }, 300);
+});
+
+timelineKind.addEventListener("change", () => {
+  timeline.kind = timelineKind.value;
+  loadTimeline({ reset: true });
+});
+
+timelineDate.addEventListener("change", () => {
+  timeline.date = timelineDate.value;
+  timeline.hour = null;
+  renderHistory({ hours: historyHours });
+  loadTimeline({ reset: true });
+});
+
+timelineClear.addEventListener("click", () => {
+  timeline = { ...timeline, q: "", kind: "all", date: "", hour: null };
+  timelineSearch.value = "";
+  timelineKind.value = "all";
+  timelineDate.value = "";
+  renderHistory({ hours: historyHours });
+  loadTimeline({ reset: true });
+});
+
+timelineScroll.addEventListener("scroll", maybeLoadMoreTimeline, { passive: true });
+
+init();
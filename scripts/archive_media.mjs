@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { findAccount, loadAccounts } from "../lib/accounts.js";
+import { createMediaArchive, mediaSources, parseBytes } from "../lib/media.js";
+import { openStore } from "../lib/store/index.js";
+import { buildHeaders } from "../lib/upstream.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const dataDir = path.resolve(getArg("--data-dir", path.join(rootDir, "data")));
+const backend = getArg("--backend", process.env.STORE_BACKEND || "log");
+const mediaDir = path.resolve(getArg("--media-dir", process.env.MEDIA_DIR || path.join(dataDir, "media")));
+const quotaBytes = parseBytes(getArg("--quota", process.env.MEDIA_QUOTA || "1gb"));
+const maxFileBytes = parseBytes(getArg("--max-file-size", process.env.MEDIA_MAX_FILE_SIZE || "100mb"));
+const since = getArg("--since", null);
+
+if (quotaBytes === null) fail("Invalid --quota: expected a size such as 500mb or 2gb");
+if (!maxFileBytes) fail("Invalid --max-file-size: expected a size such as 50mb");
+if (since && Number.isNaN(Date.parse(since))) fail("Invalid --since: expected an ISO 8601 date or timestamp");
+
+const accounts = await loadAccounts({
+  configPath: process.env.TRUTHSOCIAL_ACCOUNTS_FILE || path.join(rootDir, "accounts.json"),
+  env: process.env,
+  pollIntervalMs: 45000,
+});
+const handle = getArg("--account", accounts[0].handle);
+const account = findAccount(accounts, handle);
+if (!account) fail(`Unknown account: ${handle}`);
+
+const store = await openStore(account, { dataDir, backend });
+const posts = [...store.scan(), ...store.hidden()].filter(
+  (post) => mediaSources(post).length && (!since || Date.parse(post.timestamp) >= Date.parse(since))
+);
+await store.close();
+
+const media = createMediaArchive({
+  dir: mediaDir,
+  quotaBytes,
+  maxFileBytes,
+  headers: buildHeaders(process.env.TRUTHSOCIAL_COOKIE),
+});
+await media.load();
+
+console.log(`Archiving media from ${posts.length} posts for @${account.handle} into ${mediaDir}`);
+const outcomes = {};
+for (const post of posts) {
+  for (const { url, outcome, error } of await media.archivePost(post)) {
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    if (outcome === "failed") console.warn(`  ${post.id}: ${url}: ${error}`);
+  }
+}
+await media.close();
+
+const { objects, bytes, evicted } = media.usage();
+const summary = Object.entries(outcomes).map(([outcome, count]) => `${count} ${outcome}`);
+console.log(`${summary.join(", ") || "No media found"}; archive holds ${objects} files, ${bytes} bytes`);
+if (evicted) console.log(`Evicted ${evicted} least recently used files to stay under the ${quotaBytes} byte quota`);
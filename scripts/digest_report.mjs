@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { findAccount, loadAccounts } from "../lib/accounts.js";
+import {
+  computeDigest,
+  digestWindow,
+  parseDigestSettings,
+  publishDigest,
+  renderDigest,
+  startSchedule,
+} from "../lib/reports/index.js";
+import { openStore } from "../lib/store/index.js";
+import { parseZonedInput } from "../lib/time.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const hasFlag = (name) => args.includes(name);
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const dataDir = path.resolve(getArg("--data-dir", path.join(rootDir, "data")));
+const backend = getArg("--backend", process.env.STORE_BACKEND || "log");
+const outArg = getArg("--out-dir", null);
+const outputDir = outArg ? path.resolve(outArg) : null;
+const webhookUrl = getArg("--webhook", process.env.DIGEST_WEBHOOK_URL || null);
+
+let settings;
+try {
+  settings = parseDigestSettings({
+    schedule: getArg("--schedule", null),
+    period: getArg("--period", process.env.DIGEST_PERIOD),
+    timeZone: getArg("--tz", process.env.DIGEST_TZ),
+    formats: getArg("--format", outputDir || webhookUrl ? process.env.DIGEST_FORMATS : "markdown"),
+    top: getArg("--top", process.env.DIGEST_TOP),
+  });
+} catch (error) {
+  fail(error.message);
+}
+
+const dateArg = getArg("--date", null);
+const date = dateArg ? parseZonedInput(dateArg, settings.timeZone) : null;
+if (dateArg && !date) fail("Invalid --date: expected YYYY-MM-DD or an ISO 8601 timestamp");
+if (dateArg && settings.cron) fail("--date picks a fixed period: drop it when using --schedule");
+if (!outputDir && !webhookUrl) {
+  if (settings.cron) fail("--schedule needs somewhere to deliver: pass --out-dir or --webhook");
+  if (settings.formats.length > 1) fail("Printing to stdout takes a single --format: pass --out-dir to write several");
+}
+
+const accounts = await loadAccounts({
+  configPath: process.env.TRUTHSOCIAL_ACCOUNTS_FILE || path.join(rootDir, "accounts.json"),
+  env: process.env,
+  pollIntervalMs: 45000,
+});
+let selected = accounts;
+if (!hasFlag("--all-accounts")) {
+  const handle = getArg("--account", accounts[0].handle);
+  const account = findAccount(accounts, handle);
+  if (!account) fail(`Unknown account: ${handle}`);
+  selected = [account];
+}
+
+const generate = async (account, now) => {
+  const { period, timeZone, top } = settings;
+  const store = await openStore(account, { dataDir, backend });
+  const digest = computeDigest(store, account, {
+    period,
+    timeZone,
+    top,
+    ...digestWindow(period, timeZone, { date, now }),
+  });
+  await store.close();
+  if (!outputDir && !webhookUrl) {
+    process.stdout.write(renderDigest(digest, settings.formats[0]));
+    return true;
+  }
+  const result = await publishDigest(digest, {
+    formats: settings.formats,
+    outputDir,
+    webhookUrl,
+    secret: process.env.DIGEST_WEBHOOK_SECRET || null,
+  });
+  console.log(`${digest.id}: ${digest.totals.posts} posts`);
+  for (const file of result.files) console.log(`  wrote ${file}`);
+  if (webhookUrl) {
+    const { status, attempts, lastError } = result.delivery;
+    const tries = `${attempts} ${attempts === 1 ? "attempt" : "attempts"}`;
+    console.log(`  webhook ${status} after ${tries}${lastError ? `: ${lastError}` : ""}`);
+  }
+  return result.delivery.status !== "failed";
+};
+
+const runAll = async (now) => {
+  let ok = true;
+  for (const account of selected) {
+    try {
+      ok = (await generate(account, now)) && ok;
+    } catch (error) {
+      console.error(`Digest failed for @${account.handle}: ${error.message}`);
+      ok = false;
+    }
+  }
+  return ok;
+};
+
+if (!settings.cron) {
+  process.exit((await runAll(Date.now())) ? 0 : 1);
+}
+
+const schedule = startSchedule(settings.cron, {
+  timeZone: settings.timeZone,
+  run: (runAt) => runAll(runAt.getTime()),
+});
+console.log(`Scheduled ${settings.period} digests for "${settings.cron.expression}" in ${settings.timeZone}`);
+console.log(`Next digest at ${schedule.describe().nextRunAt}`);
+process.on("SIGINT", () => {
+  schedule.stop();
+  process.exit(0);
+});
@@ -1,5 +1,10 @@
 #!/usr/bin/env node
 /* eslint-disable no-console */
+import fs from "node:fs/promises";
+import { createMediaArchive, parseBytes } from "../lib/media.js";
+import { normalizeStatus, stripHtml } from "../lib/posts.js";
+import { parseLinkHeader, parseRetryAfter } from "../lib/upstream.js";
+
 const DEFAULT_ACCOUNT_ID = "107780257626128497";
 const DEFAULT_MONTHS = 6;
 const DEFAULT_LIMIT = 20;
@@ -7,6 +12,7 @@ const DEFAULT_MAX_PAGES = 250;
 const DEFAULT_DELAY_MS = 750;
 const DEFAULT_BACKOFF_FACTOR = 1.5;
 const DEFAULT_MAX_DELAY_MS = 15000;
+const CHECKPOINT_VERSION = 1;
 
 const args = process.argv.slice(2);
 const getArg = (name, fallback) => {
@@ -17,24 +23,134 @@ const getArg = (name, fallback) => {
 
 const hasFlag = (name) => args.includes(name);
 
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const parseBound = (value, name, { endOfDay = false } = {}) => {
+  if (!value) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(time)) fail(`Invalid ${name} value: expected an ISO 8601 date or timestamp`);
+  return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
+
+const csvEscape = (value) => {
+  const text = String(value ?? "");
+  if (/[",\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const COLUMNS = [
+  "id",
+  "created_at",
+  "url",
+  "is_retruth",
+  "retruth_of",
+  "content_text",
+  "content_html",
+  "retruth_of_account",
+  "in_reply_to_id",
+  "quote_of",
+  "visibility",
+  "media_urls",
+  "tags",
+];
+
+const markdownEntry = (record) => {
+  const lines = [`### ${record.created_at}${record.url ? ` · [link](${record.url})` : ""}`, ""];
+  if (record.is_retruth) {
+    lines.push(`_Retruth${record.retruth_of_account ? ` of @${record.retruth_of_account}` : ""}_`, "");
+  }
+  if (record.in_reply_to_id) lines.push(`_Reply to ${record.in_reply_to_id}_`, "");
+  lines.push(record.content_text ? record.content_text.replace(/\n/g, "  \n") : "_(no text)_", "");
+  if (record.quote_of) lines.push(`> Quoting ${record.quote_of}`, "");
+  for (const url of record.media_urls) lines.push(`- ${url}`);
+  if (record.media_urls.length) lines.push("");
+  if (record.tags.length) lines.push(record.tags.map((tag) => `#${tag}`).join(" "), "");
+  return `${lines.join("\n")}\n`;
+};
+
+const FORMATS = {
+  csv: {
+    extension: "csv",
+    header: () => `${COLUMNS.join(",")}\n`,
+    row: (record) =>
+      `${COLUMNS.map((column) => {
+        const value = record[column];
+        if (Array.isArray(value)) return csvEscape(value.join(" "));
+        if (typeof value === "boolean") return value ? "true" : "false";
+        return csvEscape(value);
+      }).join(",")}\n`,
+    footer: () => "",
+  },
+  json: {
+    extension: "json",
+    header: () => "[",
+    row: (record, hasRows) => `${hasRows ? "," : ""}\n  ${JSON.stringify(record)}`,
+    footer: () => "\n]\n",
+  },
+  ndjson: {
+    extension: "ndjson",
+    header: () => "",
+    row: (record) => `${JSON.stringify(record)}\n`,
+    footer: () => "",
+  },
+  markdown: {
+    extension: "md",
+    header: (options) => `# Truth Social posts for account ${options.accountId}\n\n`,
+    row: (record) => markdownEntry(record),
+    footer: () => "",
+  },
+};
+
 const accountId = getArg("--account", DEFAULT_ACCOUNT_ID);
-const months = Number.parseInt(getArg("--months", String(DEFAULT_MONTHS)), 10);
-const outFile = getArg("--out", `truthsocial_${accountId}_${months}mo.csv`);
+const apiBase = getArg("--api-base", "https://truthsocial.com").replace(/\/+$/, "");
+const format = getArg("--format", "csv");
+if (!FORMATS[format]) {
+  fail(`Invalid --format value: expected one of ${Object.keys(FORMATS).join(", ")}`);
+}
+const formatter = FORMATS[format];
+const outFile = getArg("--out", `truthsocial_${accountId}.${formatter.extension}`);
+const checkpointFile = getArg("--checkpoint", `${outFile}.checkpoint.json`);
 const maxPages = Number.parseInt(getArg("--max-pages", String(DEFAULT_MAX_PAGES)), 10);
 const delayMs = Number.parseInt(getArg("--delay-ms", String(DEFAULT_DELAY_MS)), 10);
 const backoffFactor = Number.parseFloat(getArg("--backoff-factor", String(DEFAULT_BACKOFF_FACTOR)));
 const maxDelayMs = Number.parseInt(getArg("--max-delay-ms", String(DEFAULT_MAX_DELAY_MS)), 10);
 const includeReplies = hasFlag("--include-replies");
 const excludeReplies = hasFlag("--exclude-replies");
+const restart = hasFlag("--restart");
+const sinceId = getArg("--since-id", null);
+const mediaDir = getArg("--media-dir", null);
+const mediaQuota = parseBytes(getArg("--media-quota", "0"));
 
-if (Number.isNaN(months) || months <= 0) {
-  console.error("Invalid --months value");
-  process.exit(1);
+if (sinceId !== null && !/^\d+$/.test(sinceId)) {
+  fail("Invalid --since-id value: expected a numeric status id");
+}
+if (mediaQuota === null) {
+  fail("Invalid --media-quota value: expected a size such as 500mb or 2gb");
 }
 
-const now = new Date();
-const cutoff = new Date(now);
-cutoff.setMonth(cutoff.getMonth() - months);
+const fromArg = getArg("--from", null);
+const untilArg = getArg("--until", null);
+let from = parseBound(fromArg, "--from");
+const until = parseBound(untilArg, "--until", { endOfDay: true });
+let months = null;
+if (from === null && sinceId === null) {
+  months = Number.parseInt(getArg("--months", String(DEFAULT_MONTHS)), 10);
+  if (Number.isNaN(months) || months <= 0) {
+    fail("Invalid --months value");
+  }
+  const cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - months);
+  from = cutoff.getTime();
+}
+if (from !== null && until !== null && until < from) {
+  fail("--until must not be earlier than --from");
+}
 
 const params = new URLSearchParams({
   exclude_replies: excludeReplies ? "true" : includeReplies ? "false" : "false",
@@ -43,7 +159,7 @@ const params = new URLSearchParams({
   limit: String(DEFAULT_LIMIT),
 });
 
-const baseUrl = `https://truthsocial.com/api/v1/accounts/${accountId}/statuses?${params.toString()}`;
+const baseUrl = `${apiBase}/api/v1/accounts/${accountId}/statuses?${params.toString()}`;
 
 const cookie = process.env.TRUTHSOCIAL_COOKIE || process.env.COOKIE || "";
 
@@ -60,64 +176,131 @@ if (cookie) {
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-const parseLinkHeader = (header) => {
-  if (!header) return {};
-  return header.split(",").reduce((links, part) => {
-    const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
-    if (match) {
-      const [, url, rel] = match;
-      links[rel] = url;
-    }
-    return links;
-  }, {});
+const exportOptions = {
+  accountId,
+  format,
+  from: fromArg,
+  until: untilArg,
+  months,
+  sinceId,
+  includeReplies,
+  excludeReplies,
 };
 
-const stripHtml = (html) => {
-  if (!html) return "";
-  return html.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+const readCheckpoint = async () => {
+  try {
+    return JSON.parse(await fs.readFile(checkpointFile, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
 };
 
-const csvEscape = (value) => {
-  const text = String(value ?? "");
-  if (/[",\n]/.test(text)) {
-    return `"${text.replace(/"/g, '""')}"`;
+const saveCheckpoint = async (state) => {
+  const tempPath = `${checkpointFile}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify({ version: CHECKPOINT_VERSION, options: exportOptions, ...state }));
+  await fs.rename(tempPath, checkpointFile);
+};
+
+const fileSize = async (filePath) => {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
   }
-  return text;
 };
 
-const toCsvRow = (row) => row.map(csvEscape).join(",");
-
-const rows = [];
-rows.push(
-  toCsvRow([
-    "id",
-    "created_at",
-    "url",
-    "is_retruth",
-    "retruth_of",
-    "content_text",
-    "content_html",
-  ])
-);
-
-let pageUrl = baseUrl;
-let page = 0;
-let seenIds = new Set();
-let currentDelay = delayMs;
+const openForAppend = async () => {
+  const size = await fileSize(outFile);
+  if (size === null || size === 0) {
+    return { bytes: 0, hasRows: false };
+  }
+  if (format !== "json") {
+    return { bytes: size, hasRows: true };
+  }
+  const content = (await fs.readFile(outFile, "utf8")).trimEnd();
+  const body = content.endsWith("]") ? content.slice(0, -1).trimEnd() : content;
+  await fs.writeFile(outFile, body);
+  return { bytes: Buffer.byteLength(body), hasRows: body.length > 1 };
+};
 
-const withinRange = (createdAt) => {
-  const timestamp = Date.parse(createdAt);
-  if (Number.isNaN(timestamp)) return false;
-  return timestamp >= cutoff.getTime();
+const isNumericId = (id) => /^\d+$/.test(id);
+const isNewer = (id) => sinceId === null || !isNumericId(id) || BigInt(id) > BigInt(sinceId);
+
+const toRecord = (post, item) => {
+  const contentHtml = post.content || post.reblog?.content || "";
+  return {
+    id: String(item.id),
+    created_at: item.created_at,
+    url: post.url,
+    is_retruth: Boolean(post.reblog),
+    retruth_of: post.reblog?.url || post.reblog?.id || "",
+    content_text: stripHtml(contentHtml),
+    content_html: contentHtml,
+    retruth_of_account: post.reblog?.account?.handle || "",
+    in_reply_to_id: post.in_reply_to_id || "",
+    quote_of: post.quote?.url || post.quote?.id || "",
+    visibility: post.visibility,
+    media_urls: [...post.media, ...(post.reblog?.media || [])].map((attachment) => attachment.url),
+    tags: post.tags,
+  };
+};
+
+let state = {
+  next: baseUrl,
+  page: 0,
+  rows: 0,
+  hasRows: false,
+  bytes: 0,
+  from,
+  newestId: null,
+  seenIds: [],
 };
 
-while (pageUrl && page < maxPages) {
+const checkpoint = restart ? null : await readCheckpoint();
+if (checkpoint) {
+  if (checkpoint.version !== CHECKPOINT_VERSION || JSON.stringify(checkpoint.options) !== JSON.stringify(exportOptions)) {
+    fail(`${checkpointFile} was written by an export with different options; rerun with --restart to discard it`);
+  }
+  state = { ...state, ...checkpoint };
+  from = state.from;
+  const size = await fileSize(outFile);
+  if (size === null || size < state.bytes) {
+    fail(`${outFile} is shorter than the checkpoint expects; rerun with --restart`);
+  }
+  await fs.truncate(outFile, state.bytes);
+  console.log(`Resuming from page ${state.page + 1} with ${state.rows} posts already exported`);
+} else if (sinceId !== null) {
+  const existing = await openForAppend();
+  state.bytes = existing.bytes;
+  state.hasRows = existing.hasRows;
+}
+
+const output = await fs.open(outFile, checkpoint || state.bytes ? "a" : "w");
+const write = async (text) => {
+  if (!text) return;
+  await output.write(text);
+  state.bytes += Buffer.byteLength(text);
+};
+
+if (!checkpoint && !state.bytes) {
+  await write(formatter.header(exportOptions));
+}
+
+const media = mediaDir ? createMediaArchive({ dir: mediaDir, quotaBytes: mediaQuota, headers }) : null;
+await media?.load();
+const mediaOutcomes = {};
+
+const seenIds = new Set(state.seenIds);
+let pageUrl = state.next;
+let currentDelay = delayMs;
+
+while (pageUrl && state.page < maxPages) {
   const response = await fetch(pageUrl, { headers });
   if (!response.ok) {
     if (response.status === 429) {
-      const retryAfter = Number.parseInt(response.headers.get("retry-after") || "0", 10);
-      const retryAfterMs =
-        Number.isNaN(retryAfter) || retryAfter <= 0 ? 0 : retryAfter * 1000;
+      const retryAfterMs = parseRetryAfter(response.headers.get("retry-after")) || 0;
       const waitMs = Math.max(currentDelay, retryAfterMs);
       console.warn(`429 rate limit. Waiting ${waitMs}ms before retrying...`);
       await sleep(waitMs);
@@ -125,51 +308,61 @@ while (pageUrl && page < maxPages) {
       currentDelay = Math.min(nextDelay, Number.isNaN(maxDelayMs) ? DEFAULT_MAX_DELAY_MS : maxDelayMs);
       continue;
     }
+    await output.close();
     throw new Error(`Request failed (${response.status}) for ${pageUrl}`);
   }
 
-  page += 1;
+  state.page += 1;
   currentDelay = delayMs;
   const payload = await response.json();
   if (!Array.isArray(payload) || payload.length === 0) {
+    pageUrl = "";
     break;
   }
 
-  let keepPaging = false;
+  let reachedStart = false;
+  let pageRows = "";
+  const pagePosts = [];
 
   for (const item of payload) {
     if (!item?.id || seenIds.has(item.id)) continue;
     seenIds.add(item.id);
 
-    if (!withinRange(item.created_at)) {
+    const timestamp = Date.parse(item.created_at);
+    if (Number.isNaN(timestamp)) continue;
+    if (!isNewer(String(item.id)) || (from !== null && timestamp < from)) {
+      reachedStart = true;
       continue;
     }
+    if (until !== null && timestamp > until) continue;
 
-    keepPaging = true;
-
-    const isRetruth = Boolean(item.reblog);
-    const retruthOf = item.reblog?.url || item.reblog?.uri || item.reblog?.id || "";
-    const url = item.url || item.uri || "";
-    const contentHtml = item.content || "";
-    const contentText = stripHtml(contentHtml);
-
-    rows.push(
-      toCsvRow([
-        item.id,
-        item.created_at,
-        url,
-        isRetruth ? "true" : "false",
-        retruthOf,
-        contentText,
-        contentHtml,
-      ])
-    );
+    const post = normalizeStatus(item);
+    if (!post) continue;
+    const record = toRecord(post, item);
+    pagePosts.push(post);
+    if (!state.newestId || (isNumericId(record.id) && BigInt(record.id) > BigInt(state.newestId))) {
+      state.newestId = record.id;
+    }
+    pageRows += formatter.row(record, state.hasRows);
+    state.hasRows = true;
+    state.rows += 1;
+  }
+
+  await write(pageRows);
+  await output.datasync();
+
+  for (const post of media ? pagePosts : []) {
+    for (const { url, outcome, error } of await media.archivePost(post)) {
+      mediaOutcomes[outcome] = (mediaOutcomes[outcome] || 0) + 1;
+      if (outcome === "failed") console.warn(`Failed to archive ${url}: ${error}`);
+    }
   }
 
   const links = parseLinkHeader(response.headers.get("link"));
-  pageUrl = links.next || "";
+  pageUrl = reachedStart ? "" : links.next || "";
+  await saveCheckpoint({ ...state, next: pageUrl, seenIds: Array.from(seenIds) });
 
-  if (!keepPaging) {
+  if (!pageUrl) {
     break;
   }
 
@@ -178,7 +371,22 @@ while (pageUrl && page < maxPages) {
   }
 }
 
-const fs = await import("node:fs/promises");
-await fs.writeFile(outFile, rows.join("\n"), "utf8");
+await write(formatter.footer(exportOptions));
+await output.close();
 
-console.log(`Exported ${rows.length - 1} posts to ${outFile}`);
+if (pageUrl) {
+  console.log(`Stopped after ${state.page} pages (--max-pages); rerun the same command to continue`);
+} else {
+  await fs.rm(checkpointFile, { force: true });
+}
+
+console.log(`Exported ${state.rows} posts to ${outFile}`);
+if (state.newestId) {
+  console.log(`Newest exported id: ${state.newestId} (pass --since-id ${state.newestId} to append newer posts later)`);
+}
+if (media) {
+  await media.close();
+  const { objects, bytes } = media.usage();
+  const summary = Object.entries(mediaOutcomes).map(([outcome, count]) => `${count} ${outcome}`);
+  console.log(`Media archive ${mediaDir}: ${objects} files, ${bytes} bytes (${summary.join(", ") || "no media"})`);
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { findAccount, loadAccounts } from "../lib/accounts.js";
+import { importArchive } from "../lib/importer.js";
+import { openStore } from "../lib/store/index.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const sourceArg = getArg("--file", null);
+if (!sourceArg) {
+  console.error("Usage: import_archive.mjs --file <archive.csv|json|ndjson> [--format csv|json|ndjson] [--account handle]");
+  process.exit(1);
+}
+
+const sourceFile = path.resolve(sourceArg);
+const dataDir = path.resolve(getArg("--data-dir", path.join(rootDir, "data")));
+const backend = getArg("--backend", process.env.STORE_BACKEND || "log");
+const format = getArg("--format", undefined);
+
+const accounts = await loadAccounts({
+  configPath: process.env.TRUTHSOCIAL_ACCOUNTS_FILE || path.join(rootDir, "accounts.json"),
+  env: process.env,
+  pollIntervalMs: 45000,
+});
+const handle = getArg("--account", accounts[0].handle);
+const account = findAccount(accounts, handle);
+
+if (!account) {
+  console.error(`Unknown account: ${handle}`);
+  process.exit(1);
+}
+
+let text;
+try {
+  text = await fs.readFile(sourceFile, "utf-8");
+} catch (error) {
+  console.error(error.code === "ENOENT" ? `No such file: ${sourceFile}` : error.message);
+  process.exit(1);
+}
+
+const store = await openStore(account, { dataDir, backend });
+const result = await importArchive(store, text, { format, fileName: sourceFile });
+await store.close();
+
+if (result.error) {
+  console.error(result.error);
+  process.exit(1);
+}
+
+for (const { line, error } of result.errors) {
+  console.warn(`Skipped entry ${line}: ${error}`);
+}
+console.log(
+  `Imported ${sourceFile} (${result.format}) into @${account.handle}: ${result.inserted} inserted, ${result.updated} updated, ${result.skipped} skipped, ${store.count()} total`
+);
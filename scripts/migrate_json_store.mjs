@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { findAccount, loadAccounts } from "../lib/accounts.js";
+import { migrateJsonFile, openStore } from "../lib/store/index.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const dataDir = path.resolve(getArg("--data-dir", path.join(rootDir, "data")));
+const sourceFile = path.resolve(getArg("--from", path.join(dataDir, "posts.json")));
+const backend = getArg("--backend", process.env.STORE_BACKEND || "log");
+
+const accounts = await loadAccounts({
+  configPath: process.env.TRUTHSOCIAL_ACCOUNTS_FILE || path.join(rootDir, "accounts.json"),
+  env: process.env,
+  pollIntervalMs: 45000,
+});
+const handle = getArg("--account", accounts[0].handle);
+const account = findAccount(accounts, handle);
+
+if (!account) {
+  console.error(`Unknown account: ${handle}`);
+  process.exit(1);
+}
+
+const store = await openStore(account, { dataDir, backend });
+const result = await migrateJsonFile(store, sourceFile);
+await store.close();
+
+if (!result) {
+  console.error(`No such file: ${sourceFile}`);
+  process.exit(1);
+}
+
+console.log(
+  `Imported ${sourceFile} into @${account.handle}: ${result.inserted} inserted, ${result.updated} updated, ${store.count()} total`
+);
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { findAccount, loadAccounts } from "../lib/accounts.js";
+import { applyRetention, parseRetention } from "../lib/retention.js";
+import { openStore } from "../lib/store/index.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const dataDir = path.resolve(getArg("--data-dir", path.join(rootDir, "data")));
+const backend = getArg("--backend", process.env.STORE_BACKEND || "log");
+const archiveRoot = path.resolve(getArg("--archive-dir", process.env.ARCHIVE_DIR || path.join(dataDir, "archive")));
+
+let retention;
+try {
+  retention = parseRetention({
+    days: getArg("--days", process.env.RETENTION_DAYS),
+    mode: getArg("--mode", process.env.RETENTION_MODE),
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+if (!retention.days) {
+  console.error("Usage: prune_store.mjs --days <n> [--mode compact|archive] [--account handle] [--archive-dir dir]");
+  process.exit(1);
+}
+
+const accounts = await loadAccounts({
+  configPath: process.env.TRUTHSOCIAL_ACCOUNTS_FILE || path.join(rootDir, "accounts.json"),
+  env: process.env,
+  pollIntervalMs: 45000,
+});
+const handle = getArg("--account", accounts[0].handle);
+const account = findAccount(accounts, handle);
+
+if (!account) {
+  console.error(`Unknown account: ${handle}`);
+  process.exit(1);
+}
+
+const store = await openStore(account, { dataDir, backend });
+const result = await applyRetention(store, { ...retention, archiveDir: path.join(archiveRoot, account.handle) });
+await store.close();
+
+const verb = result.mode === "archive" ? "Archived" : "Compacted";
+console.log(
+  `${verb} ${result.posts} posts for @${account.handle} older than ${result.before}, ${store.count()} remain`
+);
+for (const file of result.files) {
+  console.log(`  wrote ${file}`);
+}
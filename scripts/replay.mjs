@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import { spawn } from "node:child_process";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseDuration } from "../lib/engagement.js";
+import { createReplayClock } from "../lib/replay/clock.js";
+import { createMockUpstream, loadRecording, parseFaults } from "../lib/replay/upstream.js";
+import { verifyReplay } from "../lib/replay/verify.js";
+import { openStore } from "../lib/store/index.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FULL_SYNC_EVERY = 5;
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const hasFlag = (name) => args.includes(name);
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const check = hasFlag("--check");
+const mockOnly = hasFlag("--mock-only");
+const useRss = hasFlag("--rss");
+const port = Number.parseInt(getArg("--port", "4600"), 10);
+const appPort = Number.parseInt(getArg("--app-port", "3000"), 10);
+const fixture = path.resolve(getArg("--fixture", path.join(rootDir, "fixtures", "upstream", "realDonaldTrump.json")));
+const dataDir = path.resolve(getArg("--data-dir", path.join(rootDir, "data", "replay")));
+const speed = Number(getArg("--speed", check ? "3600" : "60"));
+const pollIntervalMs = Number.parseInt(getArg("--poll-interval", check ? "1000" : "5000"), 10);
+const retryAfterSeconds = Number.parseInt(getArg("--retry-after", "5"), 10);
+const seed = Number.parseInt(getArg("--seed", "1"), 10);
+const backfillMs = parseDuration(getArg("--backfill", "24h"));
+
+if (check && (mockOnly || useRss)) fail("--check drives the JSON API source: drop --mock-only and --rss");
+if (check && !speed) fail("--check needs a running clock: pass a --speed above 0");
+if (backfillMs === null) fail("Invalid --backfill: expected a duration such as 12h or 2d");
+
+let faults;
+try {
+  faults = parseFaults(getArg("--faults", ""));
+} catch (error) {
+  fail(error.message);
+}
+
+const recording = await loadRecording(fixture).catch((error) =>
+  fail(error.code === "ENOENT" ? `No such file: ${fixture}` : error.message)
+);
+const start = getArg("--start", new Date(Date.parse(recording.recordedFrom) + backfillMs).toISOString());
+let clock;
+try {
+  clock = createReplayClock({ start, speed });
+} catch (error) {
+  fail(error.message);
+}
+
+const app = createMockUpstream({
+  recording,
+  clock,
+  faults,
+  seed,
+  retryAfterSeconds,
+  feedsDir: path.join(rootDir, "fixtures", "feeds"),
+  log: hasFlag("--verbose") ? (line) => console.log(`[upstream] ${line}`) : undefined,
+});
+const server = await new Promise((resolve) => {
+  const listener = app.listen(port, () => resolve(listener));
+});
+
+const { account } = recording;
+const baseUrl = `http://localhost:${port}`;
+const sourceUrl = useRss
+  ? `${baseUrl}/@${account.acct}.rss`
+  : `${baseUrl}/api/v1/accounts/${account.id}/statuses?exclude_replies=true&only_replies=false&with_muted=true`;
+console.log(`Mock upstream for @${account.acct} on ${baseUrl}: ${recording.statuses.length} statuses, ${speed}x speed`);
+console.log(`  source  ${sourceUrl}`);
+console.log(`  control ${baseUrl}/__mock/state, POST /__mock/clock?advance=1h, POST /__mock/faults`);
+
+if (mockOnly) {
+  process.on("SIGINT", () => server.close(() => process.exit(0)));
+} else {
+  if (check || hasFlag("--fresh")) {
+    await fs.rm(path.join(dataDir, "store"), { recursive: true, force: true });
+  }
+  await fs.mkdir(dataDir, { recursive: true });
+  const accountsPath = path.join(dataDir, "accounts.json");
+  const entry = { handle: account.acct, displayName: account.display_name, id: account.id, sourceUrl, pollIntervalMs };
+  await fs.writeFile(accountsPath, `${JSON.stringify({ accounts: [entry] }, null, 2)}\n`);
+
+  const child = spawn(process.execPath, [path.join(rootDir, "index.js")], {
+    env: {
+      ...process.env,
+      PORT: String(appPort),
+      DATA_DIR: dataDir,
+      TRUTHSOCIAL_ACCOUNTS_FILE: accountsPath,
+      FULL_SYNC_EVERY: String(FULL_SYNC_EVERY),
+      POLL_MAX_BACKOFF_MS: process.env.POLL_MAX_BACKOFF_MS || String(pollIntervalMs * 8),
+    },
+    stdio: "inherit",
+  });
+  const exited = new Promise((resolve) => child.on("exit", resolve));
+  process.on("SIGINT", () => child.kill("SIGINT"));
+
+  if (!check) {
+    console.log(`Dashboard API on http://localhost:${appPort}, data in ${dataDir}`);
+    const code = await exited;
+    server.close();
+    process.exit(code ?? 0);
+  }
+
+  const endAt = clock.toServed(Date.parse(recording.recordedUntil));
+  const settleMs = pollIntervalMs * (FULL_SYNC_EVERY * 2 + 2);
+  const waitMs = Math.max(0, endAt - Date.now()) + settleMs;
+  console.log(`Replaying until ${recording.recordedUntil}, finishing in ${Math.round(waitMs / 1000)}s`);
+  await new Promise((resolve) => setTimeout(resolve, waitMs));
+  child.kill("SIGTERM");
+  await exited;
+  server.close();
+
+  const store = await openStore({ handle: account.acct }, { dataDir });
+  const result = verifyReplay(store, recording, { until: recording.recordedUntil });
+  await store.close();
+  for (const { name, ok, detail, ids } of result.checks) {
+    console.log(`${ok ? "ok  " : "FAIL"} ${name}: ${detail}${ids.length ? ` (${ids.join(", ")})` : ""}`);
+  }
+  process.exit(result.ok ? 0 : 1);
+}
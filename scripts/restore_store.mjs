@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { readSnapshot, restoreSnapshot } from "../lib/store/snapshot.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const hasFlag = (name) => args.includes(name);
+
+const snapshotArg = getArg("--file", null);
+if (!snapshotArg) {
+  console.error("Usage: restore_store.mjs --file <snapshot.json.gz> [--data-dir dir] [--force] [--verify-only]");
+  process.exit(1);
+}
+
+const snapshotFile = path.resolve(snapshotArg);
+const dataDir = path.resolve(getArg("--data-dir", path.join(rootDir, "data")));
+const requireChecksum = !hasFlag("--skip-checksum");
+
+try {
+  if (hasFlag("--verify-only")) {
+    const snapshot = await readSnapshot(snapshotFile, { requireChecksum });
+    console.log(`Verified ${snapshotFile}: ${snapshot.files.length} files from ${snapshot.createdAt}`);
+  } else {
+    const result = await restoreSnapshot(snapshotFile, path.join(dataDir, "store"), {
+      force: hasFlag("--force"),
+      requireChecksum,
+    });
+    for (const file of result.files) {
+      console.log(`  ${file.name}: ${file.bytes} bytes`);
+    }
+    const storeDir = path.join(dataDir, "store");
+    console.log(`Restored ${result.files.length} store files from ${result.createdAt} into ${storeDir}`);
+  }
+} catch (error) {
+  console.error(error.code === "ENOENT" ? `No such file: ${error.path}` : error.message);
+  process.exit(1);
+}
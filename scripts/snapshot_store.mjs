@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { writeSnapshot } from "../lib/store/snapshot.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const dataDir = path.resolve(getArg("--data-dir", path.join(rootDir, "data")));
+const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+const outFile = path.resolve(getArg("--out", path.join(dataDir, "snapshots", `store-${stamp}.json.gz`)));
+const account = getArg("--account", null);
+
+try {
+  const result = await writeSnapshot(path.join(dataDir, "store"), outFile, { handles: account ? [account] : null });
+  for (const file of result.files) {
+    console.log(`  ${file.name}: ${file.bytes} bytes, sha256 ${file.sha256}`);
+  }
+  console.log(`Wrote ${result.file} (${result.bytes} bytes, sha256 ${result.sha256})`);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import http from "node:http";
+import { timingSafeEqual } from "node:crypto";
+import { signPayload } from "../lib/alerts/delivery.js";
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const idx = args.indexOf(name);
+  if (idx === -1) return fallback;
+  return args[idx + 1] ?? fallback;
+};
+
+const port = Number.parseInt(getArg("--port", "4010"), 10);
+const secret = getArg("--secret", process.env.ALERT_WEBHOOK_SECRET || "");
+const failFirst = Number.parseInt(getArg("--fail-first", "0"), 10);
+let received = 0;
+
+const verify = (request, body) => {
+  if (!secret) return "unsigned";
+  const timestamp = request.headers["x-signature-timestamp"] || "";
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(request.headers["x-signature"] || ""));
+  return expected.length === actual.length && timingSafeEqual(expected, actual) ? "valid" : "INVALID";
+};
+
+http
+  .createServer((request, response) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => {
+      received += 1;
+      if (received <= failFirst) {
+        console.log(`#${received} rejecting with 503 (--fail-first ${failFirst})`);
+        response.writeHead(503).end();
+        return;
+      }
+      const signature = verify(request, body);
+      try {
+        const payload = JSON.parse(body);
+        console.log(`#${received} [${signature}] ${payload.rule?.name}: ${payload.reason} (@${payload.account})`);
+      } catch (error) {
+        console.log(`#${received} [${signature}] non-JSON body: ${body.slice(0, 200)}`);
+      }
+      response.writeHead(signature === "INVALID" ? 401 : 204).end();
+    });
+  })
+  .listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}${secret ? " (verifying signatures)" : ""}`);
+  });